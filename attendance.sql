@@ -49,3 +49,529 @@ CREATE INDEX idx_users_reset_token_hash ON users(reset_token_hash);
 CREATE INDEX idx_users_reset_sms_code_hash ON users(reset_sms_code_hash);
 CREATE INDEX idx_users_backup_email ON users(backup_email);
 
+
+-- =========================================
+-- Attendance records table (one row per clock-in / clock-out pair)
+-- =========================================
+CREATE TABLE attendance_records (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  clock_in DATETIME NOT NULL,
+  clock_out DATETIME NULL,
+  duration_minutes INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_attendance_user_clock_in ON attendance_records(user_id, clock_in);
+
+-- =========================================
+-- Shifts table (working hours per staff member)
+-- =========================================
+CREATE TABLE shifts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(100),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  grace_minutes INT DEFAULT 0,
+  weekdays SET('mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun') NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE attendance_records
+ADD COLUMN shift_id INT NULL,
+ADD COLUMN status ENUM('on_time', 'late', 'absent') NULL,
+ADD COLUMN late_minutes INT DEFAULT 0,
+ADD FOREIGN KEY (shift_id) REFERENCES shifts(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_shifts_user_id ON shifts(user_id);
+
+-- =========================================
+-- Office sites (geofenced clock-in locations)
+-- =========================================
+CREATE TABLE office_sites (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  latitude DECIMAL(10, 7) NOT NULL,
+  longitude DECIMAL(10, 7) NOT NULL,
+  radius_meters INT NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Clock-in attempts refused by the geofence (for admin review)
+CREATE TABLE clock_in_rejections (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  latitude DECIMAL(10, 7) NULL,
+  longitude DECIMAL(10, 7) NULL,
+  nearest_site_id INT NULL,
+  distance_meters INT NULL,
+  reason ENUM('missing_location', 'outside_geofence') NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (nearest_site_id) REFERENCES office_sites(id) ON DELETE SET NULL
+);
+
+ALTER TABLE attendance_records
+ADD COLUMN site_id INT NULL,
+ADD COLUMN latitude DECIMAL(10, 7) NULL,
+ADD COLUMN longitude DECIMAL(10, 7) NULL,
+ADD COLUMN outside_geofence BOOLEAN DEFAULT FALSE,
+ADD FOREIGN KEY (site_id) REFERENCES office_sites(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_clock_in_rejections_user_created ON clock_in_rejections(user_id, created_at);
+
+-- =========================================
+-- Kiosk QR token redemptions (replay protection)
+-- =========================================
+CREATE TABLE kiosk_token_redemptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  jti VARCHAR(64) NOT NULL,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_kiosk_jti_user (jti, user_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE attendance_records
+ADD COLUMN source ENUM('mobile', 'kiosk') DEFAULT 'mobile';
+
+CREATE INDEX idx_kiosk_redemptions_expires_at ON kiosk_token_redemptions(expires_at);
+
+-- =========================================
+-- Leave requests and yearly balances
+-- =========================================
+CREATE TABLE leave_requests (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  leave_type ENUM('annual', 'sick', 'unpaid') NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  days DECIMAL(5, 1) NOT NULL,
+  reason TEXT,
+  status ENUM('pending', 'approved', 'rejected', 'cancelled') DEFAULT 'pending',
+  reviewed_by INT NULL,
+  review_comment TEXT,
+  reviewed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE leave_balances (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  year INT NOT NULL,
+  leave_type ENUM('annual', 'sick', 'unpaid') NOT NULL,
+  allowance_days DECIMAL(5, 1) NOT NULL,
+  used_days DECIMAL(5, 1) DEFAULT 0,
+  UNIQUE KEY uq_leave_balance (user_id, year, leave_type),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Approved leave turns a missed shift into "excused"
+ALTER TABLE attendance_records
+MODIFY COLUMN status ENUM('on_time', 'late', 'absent', 'excused') NULL;
+
+CREATE INDEX idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+CREATE INDEX idx_leave_requests_status ON leave_requests(status);
+
+-- =========================================
+-- Overtime rules, assignment and approvals
+-- =========================================
+CREATE TABLE overtime_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  daily_threshold_hours DECIMAL(4, 2) NOT NULL DEFAULT 8,
+  weekly_threshold_hours DECIMAL(5, 2) NULL DEFAULT 40,
+  overtime_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1.5,
+  weekend_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 1.5,
+  holiday_multiplier DECIMAL(4, 2) NOT NULL DEFAULT 2,
+  approval_cap_hours DECIMAL(4, 2) NULL,
+  is_default BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+ADD COLUMN overtime_rule_id INT NULL,
+ADD FOREIGN KEY (overtime_rule_id) REFERENCES overtime_rules(id) ON DELETE SET NULL;
+
+-- Overtime above a rule's approval cap, per user per day
+CREATE TABLE overtime_approvals (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  work_date DATE NOT NULL,
+  rule_id INT NULL,
+  excess_minutes INT NOT NULL,
+  status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+  reviewed_by INT NULL,
+  review_comment TEXT,
+  reviewed_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_overtime_user_date (user_id, work_date),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (rule_id) REFERENCES overtime_rules(id) ON DELETE SET NULL,
+  FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_overtime_approvals_status ON overtime_approvals(status);
+
+-- =========================================
+-- Public holidays and company closures (non-working days)
+-- =========================================
+CREATE TABLE holidays (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  type ENUM('public_holiday', 'closure') DEFAULT 'public_holiday',
+  announced_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_holiday (name, start_date, end_date)
+);
+
+CREATE INDEX idx_holidays_dates ON holidays(start_date, end_date);
+
+-- =========================================
+-- Login sessions and rotating refresh tokens
+-- =========================================
+CREATE TABLE user_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  revoked_at DATETIME NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Only the SHA-256 hash of each refresh token is stored
+CREATE TABLE refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  session_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+);
+
+-- Access tokens issued before this moment are rejected
+ALTER TABLE users ADD COLUMN tokens_valid_after DATETIME NULL;
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+
+-- =========================================
+-- TOTP two-factor authentication
+-- =========================================
+ALTER TABLE users
+ADD COLUMN totp_secret VARCHAR(64) NULL,
+ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE,
+ADD COLUMN totp_last_step BIGINT NULL;
+
+-- One-time recovery codes (SHA-256 hashes only)
+CREATE TABLE two_factor_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_recovery_codes_user_hash ON two_factor_recovery_codes(user_id, code_hash);
+
+-- =========================================
+-- SMS password reset attempt cap
+-- =========================================
+ALTER TABLE users ADD COLUMN reset_sms_attempts INT DEFAULT 0;
+
+-- =========================================
+-- Password history (previous hashes, to block reuse)
+-- =========================================
+CREATE TABLE password_history (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_password_history_user_id ON password_history(user_id);
+
+-- =========================================
+-- Account deactivation (admin user management)
+-- =========================================
+ALTER TABLE users
+ADD COLUMN is_active BOOLEAN DEFAULT TRUE,
+ADD COLUMN deactivated_at DATETIME NULL;
+
+-- =========================================
+-- Per-user notification state (read / deleted)
+-- Kept per user so shared broadcast rows work too
+-- =========================================
+CREATE TABLE notification_user_state (
+  notification_id INT NOT NULL,
+  user_id INT NOT NULL,
+  read_at DATETIME NULL,
+  deleted_at DATETIME NULL,
+  PRIMARY KEY (notification_id, user_id),
+  FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, id);
+
+-- =========================================
+-- Notification channel preferences
+-- One row per customised category; missing rows use the defaults in
+-- utils/notificationPreferences.js
+-- =========================================
+CREATE TABLE notification_preferences (
+  user_id INT NOT NULL,
+  category ENUM('security', 'attendance', 'leave', 'announcements') NOT NULL,
+  in_app BOOLEAN NOT NULL DEFAULT TRUE,
+  email BOOLEAN NOT NULL DEFAULT FALSE,
+  sms BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, category),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- =========================================
+-- Scheduled jobs and their run log
+-- run_count is a version number: a run is claimed by bumping it with a
+-- conditional UPDATE, so each occurrence runs on one instance only
+-- =========================================
+CREATE TABLE scheduled_jobs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  type ENUM('clock_in_reminder', 'clock_out_reminder', 'weekly_summary', 'announcement', 'holiday_announcements') NOT NULL,
+  next_run_at DATETIME NOT NULL,
+  interval_minutes INT NULL, -- NULL = one-off job
+  payload JSON NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  run_count INT NOT NULL DEFAULT 0,
+  last_run_at DATETIME NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE job_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  job_id INT NOT NULL,
+  instance_id VARCHAR(100) NOT NULL,
+  status ENUM('running', 'succeeded', 'failed') NOT NULL,
+  result TEXT NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,
+  FOREIGN KEY (job_id) REFERENCES scheduled_jobs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs(enabled, next_run_at);
+CREATE INDEX idx_job_runs_job ON job_runs(job_id, id);
+
+-- Built-in jobs (weekly summary goes out Monday 08:00)
+INSERT INTO scheduled_jobs (name, type, next_run_at, interval_minutes, payload) VALUES
+  ('Holiday announcements', 'holiday_announcements', NOW(), 60, NULL),
+  ('Clock-in reminders', 'clock_in_reminder', NOW(), 5, '{"afterMinutes": 15}'),
+  ('Clock-out reminders', 'clock_out_reminder', NOW(), 5, '{"afterMinutes": 15}'),
+  ('Weekly summaries', 'weekly_summary',
+    DATE_ADD(CURDATE(), INTERVAL (7 - WEEKDAY(CURDATE())) DAY) + INTERVAL 8 HOUR, 10080, NULL);
+
+-- =========================================
+-- Security audit log (append-only)
+-- No foreign keys: events must outlive the users they mention
+-- =========================================
+CREATE TABLE audit_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  actor_user_id INT NULL,
+  target_user_id INT NULL,
+  action VARCHAR(64) NOT NULL,
+  ip_address VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  metadata JSON NULL
+);
+
+CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_events is append-only';
+CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_events is append-only';
+
+CREATE INDEX idx_audit_events_actor ON audit_events(actor_user_id, occurred_at);
+CREATE INDEX idx_audit_events_target ON audit_events(target_user_id, occurred_at);
+CREATE INDEX idx_audit_events_action ON audit_events(action, occurred_at);
+CREATE INDEX idx_audit_events_occurred ON audit_events(occurred_at);
+
+-- =========================================
+-- Account unlock links and escalating lockouts
+-- lockout_count = consecutive lockouts since the last successful login
+-- =========================================
+ALTER TABLE users
+  ADD COLUMN lockout_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN unlock_token_hash VARCHAR(64) NULL,
+  ADD COLUMN unlock_expires DATETIME NULL;
+
+-- =========================================
+-- Departments
+-- =========================================
+CREATE TABLE departments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+  ADD COLUMN department_id INT NULL,
+  ADD FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL;
+
+-- =========================================
+-- Targeted announcements
+-- Announcements are notifications with user_id = NULL, matched to users
+-- at read time by target_type; only 'users' targets list recipients.
+-- Replaces the old is_broadcast flag.
+-- =========================================
+ALTER TABLE notifications
+  MODIFY user_id INT NULL,
+  ADD COLUMN target_type ENUM('all', 'role', 'department', 'users') NULL,
+  ADD COLUMN target_role ENUM('admin', 'staff') NULL,
+  ADD COLUMN target_department_id INT NULL,
+  ADD COLUMN priority ENUM('low', 'normal', 'high', 'urgent') NOT NULL DEFAULT 'normal',
+  ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN expires_at DATETIME NULL,
+  ADD COLUMN created_by INT NULL,
+  ADD FOREIGN KEY (target_department_id) REFERENCES departments(id) ON DELETE CASCADE,
+  ADD FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE notifications SET user_id = NULL, target_type = 'all' WHERE is_broadcast = TRUE;
+ALTER TABLE notifications DROP COLUMN is_broadcast;
+
+CREATE TABLE announcement_recipients (
+  notification_id INT NOT NULL,
+  user_id INT NOT NULL,
+  PRIMARY KEY (notification_id, user_id),
+  FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_users_department ON users(department_id);
+CREATE INDEX idx_notifications_targets ON notifications(target_type, target_role, target_department_id);
+CREATE INDEX idx_announcement_recipients_user ON announcement_recipients(user_id);
+
+-- =========================================
+-- Email verification
+-- Links are stored hashed like reset / unlock tokens. The backup address
+-- must be verified before it can receive password reset links.
+-- Existing accounts are treated as verified.
+-- =========================================
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL,
+  ADD COLUMN email_verify_token_hash VARCHAR(64) NULL,
+  ADD COLUMN email_verify_expires DATETIME NULL,
+  ADD COLUMN backup_email_verified_at DATETIME NULL,
+  ADD COLUMN backup_email_verify_token_hash VARCHAR(64) NULL,
+  ADD COLUMN backup_email_verify_expires DATETIME NULL;
+
+UPDATE users SET email_verified_at = created_at;
+UPDATE users SET backup_email_verified_at = created_at WHERE backup_email IS NOT NULL;
+
+-- =========================================
+-- Staff invites
+-- Set SIGNUP_MODE=invite to turn off open sign-up. Links are stored hashed
+-- and a resend replaces the previous one.
+-- =========================================
+CREATE TABLE user_invites (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('admin', 'staff') NOT NULL DEFAULT 'staff',
+  department_id INT NULL,
+  token_hash VARCHAR(64) NULL,
+  expires_at DATETIME NOT NULL,
+  last_sent_at DATETIME NULL,
+  send_count INT NOT NULL DEFAULT 0,
+  invited_by INT NULL,
+  accepted_at DATETIME NULL,
+  accepted_user_id INT NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (department_id) REFERENCES departments(id) ON DELETE SET NULL,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_user_invites_email ON user_invites(email, accepted_at, revoked_at);
+
+-- =========================================
+-- Department hierarchy and the manager role
+-- Teams are departments with a parent. A manager is scoped to the
+-- departments they manage and everything below them.
+-- =========================================
+ALTER TABLE users MODIFY role ENUM('admin', 'manager', 'staff') DEFAULT 'staff';
+ALTER TABLE user_invites MODIFY role ENUM('admin', 'manager', 'staff') NOT NULL DEFAULT 'staff';
+ALTER TABLE notifications MODIFY target_role ENUM('admin', 'manager', 'staff') NULL;
+
+ALTER TABLE departments
+  ADD COLUMN parent_id INT NULL,
+  ADD COLUMN manager_id INT NULL,
+  ADD FOREIGN KEY (parent_id) REFERENCES departments(id) ON DELETE SET NULL,
+  ADD FOREIGN KEY (manager_id) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_departments_parent ON departments(parent_id);
+CREATE INDEX idx_departments_manager ON departments(manager_id);
+
+-- =========================================
+-- Roles and permissions
+-- Roles are editable sets of the permissions in backend/utils/permissions.js
+-- (/api/admin/roles). Built-in roles can't be deleted and admin always has
+-- every permission, so it needs no rows here.
+-- =========================================
+CREATE TABLE roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description VARCHAR(255) NULL,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+  role VARCHAR(50) NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  PRIMARY KEY (role, permission),
+  FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('admin', 'Full access to everything', TRUE),
+  ('manager', 'Attendance, leave approval and messages for the departments they manage', TRUE),
+  ('staff', 'Their own attendance, leave and notifications', TRUE);
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('manager', 'attendance.read.team'),
+  ('manager', 'leave.approve.team'),
+  ('manager', 'notifications.send.team');
+
+ALTER TABLE users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'staff';
+ALTER TABLE users ADD FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+ALTER TABLE user_invites MODIFY role VARCHAR(50) NOT NULL DEFAULT 'staff';
+ALTER TABLE notifications MODIFY target_role VARCHAR(50) NULL;
+
+-- =========================================
+-- Password reset target
+-- The address the current reset link was mailed to, so a reset only
+-- verifies the primary email when the link actually went there.
+-- =========================================
+ALTER TABLE users ADD COLUMN reset_sent_to VARCHAR(255) NULL;
+
+-- =========================================
+-- Account activity notifications
+-- Routine notices such as sign-ins, separate from the forced-on
+-- security category so users can mute them.
+-- =========================================
+ALTER TABLE notification_preferences
+MODIFY category ENUM('security', 'account', 'attendance', 'leave', 'announcements') NOT NULL;
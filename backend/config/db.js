@@ -11,3 +11,19 @@ const pool = mysql.createPool({
 });
 
 export default pool;
+
+/**
+ * Stream the rows of a query without buffering the whole result.
+ * The connection is released when the stream ends and destroyed if the
+ * stream is closed early (e.g. an aborted download), since a paused query
+ * would otherwise hold its pool connection forever.
+ *
+ * @returns {Promise<import("stream").Readable>}
+ */
+export const streamQuery = async (sql, params) => {
+  const conn = await pool.getConnection();
+  // The promise connection wraps a callback one, which supports row streaming
+  const stream = conn.connection.query(sql, params).stream();
+  stream.once("close", () => (stream.readableEnded ? conn.release() : conn.destroy()));
+  return stream;
+};
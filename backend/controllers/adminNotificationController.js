@@ -1,9 +1,14 @@
 import pool from "../config/db.js";
 import { notifyUser } from "../utils/notifyUser.js";
+import { sendAnnouncement } from "../utils/announcements.js";
+import { isInScope } from "../utils/departments.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
 import { sendResponse } from "../utils/responseHandler.js";
 
 /**
- * Send a notification to ALL staff members (broadcast message).
+ * Send a message to ALL staff members (broadcast message).
+ * Kept for existing clients: it publishes a single announcement targeted
+ * at the staff role (see /api/admin/announcements for other audiences).
  * Only admins can use this route.
  */
 export const broadcastNotification = async (req, res) => {
@@ -14,13 +19,13 @@ export const broadcastNotification = async (req, res) => {
   }
 
   try {
-    // Get all staff users
-    const [staff] = await pool.query("SELECT id FROM users WHERE role = 'staff'");
-
-    // Send to each staff member
-    for (const user of staff) {
-      await notifyUser(user.id, title, message);
-    }
+    const announcementId = await sendAnnouncement(
+      { title, message, target: { type: "role", role: "staff" } },
+      req.user.id
+    );
+    await recordAuditEvent(req, "admin.announcement.create", {
+      metadata: { announcementId, title, target: "role" },
+    });
 
     return sendResponse(res, 200, true, "Broadcast message sent to all staff");
   } catch (err) {
@@ -31,7 +36,7 @@ export const broadcastNotification = async (req, res) => {
 
 /**
  * Send a notification to a specific staff member.
- * Only admins can use this route so if the user's role is not admin, it won't send the message.
+ * Admins can message anyone; managers only members of their own teams.
  */
 export const personalNotification = async (req, res) => {
   const { userId, title, message } = req.body;
@@ -42,11 +47,15 @@ export const personalNotification = async (req, res) => {
 
   try {
     const [userRows] = await pool.query("SELECT id FROM users WHERE id = ?", [userId]);
-    if (userRows.length === 0) {
+    if (userRows.length === 0 || !(await isInScope(req.scope, userId))) {
       return sendResponse(res, 404, false, "User not found");
     }
 
     await notifyUser(userId, title, message);
+    await recordAuditEvent(req, "admin.notification.personal", {
+      targetUserId: Number(userId),
+      metadata: { title },
+    });
     return sendResponse(res, 200, true, "Message sent to selected staff member");
   } catch (err) {
     console.error("Personal message failed:", err);
@@ -0,0 +1,254 @@
+//   Admin user management: list/search staff, edit profiles, change
+//   roles, deactivate / reactivate and unlock accounts. Every change
+//   creates a notification for the affected user.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { notifyUser } from "../utils/notifyUser.js";
+import { revokeAllSessions } from "../utils/authTokens.js";
+import { clearLock } from "../utils/accountLock.js";
+import { changeBackupEmail, changePrimaryEmail } from "../utils/emailVerification.js";
+import { ADMIN_ROLE, roleExists } from "../utils/roles.js";
+import { findUngrantablePermissions } from "../utils/permissions.js";
+
+const USER_COLUMNS = `id, email, email_verified_at, name, phone, backup_email, backup_email_verified_at,
+  role, department_id, is_active, deactivated_at,
+  failed_login_attempts, lock_until, lockout_count, created_at`;
+
+const findUser = async (id) => {
+  const [rows] = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// users.manage alone must not be a path to (or around) full access:
+// only admins may edit, lock out or unlock admin accounts
+const isProtectedAdmin = (req, user) => user.role === ADMIN_ROLE && req.user.role !== ADMIN_ROLE;
+const ADMIN_ONLY_MESSAGE = "Only admins can manage admin accounts.";
+
+// ============================================================
+// List users with search and pagination
+// Query: ?search=&role=admin|manager|staff&status=active|inactive&page=1&limit=20
+// ============================================================
+export const listUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    let where = "WHERE 1 = 1";
+    const params = [];
+    if (search) {
+      where += " AND (name LIKE ? OR email LIKE ? OR phone LIKE ?)";
+      const like = `%${search}%`;
+      params.push(like, like, like);
+    }
+    if (role) {
+      where += " AND role = ?";
+      params.push(role);
+    }
+    if (status === "active" || status === "inactive") {
+      where += " AND is_active = ?";
+      params.push(status === "active");
+    }
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM users ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY name, email LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    return sendResponse(res, 200, true, "Users fetched successfully.", {
+      users: rows,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("List users error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch users.");
+  }
+};
+
+// ============================================================
+// Get a single user
+// ============================================================
+export const getUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+
+    return sendResponse(res, 200, true, "User fetched successfully.", { user });
+  } catch (err) {
+    console.error("Get user error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch user.");
+  }
+};
+
+// ============================================================
+// Edit a user's profile
+// Body: { name?, email?, phone?, backup_email?, department_id? }
+// ============================================================
+export const updateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+    if (isProtectedAdmin(req, user)) return sendResponse(res, 403, false, ADMIN_ONLY_MESSAGE);
+
+    const fields = ["name", "email", "phone", "backup_email", "department_id"].filter(
+      (key) => req.body[key] !== undefined
+    );
+    if (!fields.length) return sendResponse(res, 400, false, "Nothing to update.");
+    if (fields.includes("email") && !req.body.email)
+      return sendResponse(res, 400, false, "Email cannot be empty.");
+
+    if (fields.includes("email") && req.body.email !== user.email) {
+      const [existing] = await pool.query("SELECT id FROM users WHERE email = ? AND id <> ?", [
+        req.body.email,
+        user.id,
+      ]);
+      if (existing.length) return sendResponse(res, 409, false, "Email is already in use.");
+    }
+
+    if (fields.includes("department_id") && req.body.department_id) {
+      const [departments] = await pool.query("SELECT id FROM departments WHERE id = ?", [
+        req.body.department_id,
+      ]);
+      if (!departments.length) return sendResponse(res, 400, false, "Department not found.");
+    }
+
+    // New email addresses have to be verified again: the primary before the
+    // user can log in, the backup before it receives reset links
+    const columns = fields.filter((key) => key !== "email" && key !== "backup_email");
+    if (columns.length)
+      await pool.query(
+        `UPDATE users SET ${columns.map((key) => `${key} = ?`).join(", ")} WHERE id = ?`,
+        [...columns.map((key) => req.body[key] || null), user.id]
+      );
+    if (fields.includes("email") && req.body.email !== user.email)
+      await changePrimaryEmail(user, req.body.email);
+    if (fields.includes("backup_email") && (req.body.backup_email || null) !== user.backup_email)
+      await changeBackupEmail(
+        { id: user.id, email: req.body.email || user.email },
+        req.body.backup_email || null
+      );
+
+    await recordAuditEvent(req, "admin.user.update", { targetUserId: user.id, metadata: { fields } });
+    await notifyUser(
+      user.id,
+      "Profile Updated",
+      `An administrator updated your profile (${fields.join(", ")}).`,
+      "security"
+    );
+
+    return sendResponse(res, 200, true, "User updated successfully.", {
+      user: await findUser(user.id),
+    });
+  } catch (err) {
+    console.error("Update user error:", err);
+    return sendResponse(res, 500, false, "Failed to update user.");
+  }
+};
+
+// ============================================================
+// Change a user's role
+// Body: { role } (any role from /api/admin/roles)
+// ============================================================
+export const changeUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!(await roleExists(role))) return sendResponse(res, 400, false, "Role not found.");
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+    if (isProtectedAdmin(req, user)) return sendResponse(res, 403, false, ADMIN_ONLY_MESSAGE);
+    const ungrantable = await findUngrantablePermissions(role, req.permissions);
+    if (ungrantable.length)
+      return sendResponse(res, 403, false, "You can't grant a role with permissions you don't have.", {
+        permissions: ungrantable,
+      });
+    if (user.id === req.user.id)
+      return sendResponse(res, 400, false, "You cannot change your own role.");
+    if (user.role === role) return sendResponse(res, 200, true, `User is already ${role}.`);
+
+    await pool.query("UPDATE users SET role = ? WHERE id = ?", [role, user.id]);
+    await recordAuditEvent(req, "admin.user.role_change", {
+      targetUserId: user.id,
+      metadata: { from: user.role, to: role },
+    });
+    await notifyUser(user.id, "Role Changed", `Your role was changed from ${user.role} to ${role}.`, "security");
+
+    return sendResponse(res, 200, true, `Role changed to ${role}.`);
+  } catch (err) {
+    console.error("Change role error:", err);
+    return sendResponse(res, 500, false, "Failed to change role.");
+  }
+};
+
+// ============================================================
+// Deactivate a user (blocks login and signs out all sessions)
+// ============================================================
+export const deactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+    if (isProtectedAdmin(req, user)) return sendResponse(res, 403, false, ADMIN_ONLY_MESSAGE);
+    if (user.id === req.user.id)
+      return sendResponse(res, 400, false, "You cannot deactivate your own account.");
+    if (!user.is_active) return sendResponse(res, 200, true, "User is already deactivated.");
+
+    await pool.query("UPDATE users SET is_active = FALSE, deactivated_at = NOW() WHERE id = ?", [
+      user.id,
+    ]);
+    await revokeAllSessions(user.id);
+    await recordAuditEvent(req, "admin.user.deactivate", { targetUserId: user.id });
+    await notifyUser(user.id, "Account Deactivated", "Your account was deactivated by an administrator.", "security");
+
+    return sendResponse(res, 200, true, "User deactivated.");
+  } catch (err) {
+    console.error("Deactivate user error:", err);
+    return sendResponse(res, 500, false, "Failed to deactivate user.");
+  }
+};
+
+// ============================================================
+// Reactivate a user
+// ============================================================
+export const reactivateUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+    if (isProtectedAdmin(req, user)) return sendResponse(res, 403, false, ADMIN_ONLY_MESSAGE);
+    if (user.is_active) return sendResponse(res, 200, true, "User is already active.");
+
+    await pool.query("UPDATE users SET is_active = TRUE, deactivated_at = NULL WHERE id = ?", [
+      user.id,
+    ]);
+    await recordAuditEvent(req, "admin.user.reactivate", { targetUserId: user.id });
+    await notifyUser(user.id, "Account Reactivated", "Your account was reactivated. You can log in again.", "security");
+
+    return sendResponse(res, 200, true, "User reactivated.");
+  } catch (err) {
+    console.error("Reactivate user error:", err);
+    return sendResponse(res, 500, false, "Failed to reactivate user.");
+  }
+};
+
+// ============================================================
+// Unlock a locked account (also resets lockout escalation)
+// ============================================================
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.id);
+    if (!user) return sendResponse(res, 404, false, "User not found.");
+    if (isProtectedAdmin(req, user)) return sendResponse(res, 403, false, ADMIN_ONLY_MESSAGE);
+
+    await clearLock(user.id, { resetEscalation: true });
+    await recordAuditEvent(req, "admin.user.unlock", {
+      targetUserId: user.id,
+      metadata: { lockUntil: user.lock_until, lockoutCount: user.lockout_count },
+    });
+    await notifyUser(user.id, "Account Unlocked", "An administrator unlocked your account.", "security");
+
+    return sendResponse(res, 200, true, "User unlocked.");
+  } catch (err) {
+    console.error("Unlock user error:", err);
+    return sendResponse(res, 500, false, "Failed to unlock user.");
+  }
+};
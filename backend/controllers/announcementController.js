@@ -0,0 +1,163 @@
+//   Admin management of announcements: one notification row targeted at
+//   everyone, a role, a department or a list of users, with optional
+//   priority, pinning and expiry. Delivery lives in utils/announcements.js.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { sendAnnouncement, validateAnnouncement } from "../utils/announcements.js";
+import { isInScope } from "../utils/departments.js";
+import { roleExists } from "../utils/roles.js";
+import { hasPermission } from "../middleware/requirePermission.js";
+
+const SELECT_ANNOUNCEMENTS = `
+  SELECT n.id, n.title, n.message, n.target_type, n.target_role, n.target_department_id,
+         d.name AS target_department, n.priority, n.pinned, n.expires_at, n.created_at,
+         n.created_by, u.name AS created_by_name,
+         (SELECT COUNT(*) FROM notification_user_state s
+          WHERE s.notification_id = n.id AND s.read_at IS NOT NULL) AS read_count,
+         (SELECT COUNT(*) FROM announcement_recipients r
+          WHERE r.notification_id = n.id) AS recipient_count
+  FROM notifications n
+  LEFT JOIN departments d ON d.id = n.target_department_id
+  LEFT JOIN users u ON u.id = n.created_by`;
+
+const findAnnouncement = async (id) => {
+  const [rows] = await pool.query(`${SELECT_ANNOUNCEMENTS} WHERE n.user_id IS NULL AND n.id = ?`, [id]);
+  if (!rows[0]) return null;
+  return { ...rows[0], pinned: Boolean(rows[0].pinned) };
+};
+
+// ============================================================
+// List announcements (newest first)
+// Query: ?status=active|expired&page=1&limit=20
+// ============================================================
+export const listAnnouncements = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    let where = "WHERE n.user_id IS NULL";
+    if (status === "active") where += " AND (n.expires_at IS NULL OR n.expires_at > NOW())";
+    if (status === "expired") where += " AND n.expires_at <= NOW()";
+
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM notifications n ${where}`);
+    const [rows] = await pool.query(
+      `${SELECT_ANNOUNCEMENTS} ${where} ORDER BY n.id DESC LIMIT ? OFFSET ?`,
+      [limit, (page - 1) * limit]
+    );
+
+    return sendResponse(res, 200, true, "Announcements fetched successfully.", {
+      announcements: rows.map((a) => ({ ...a, pinned: Boolean(a.pinned) })),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error("List announcements error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch announcements.");
+  }
+};
+
+// ============================================================
+// Create an announcement
+// Body: { title, message, target: { type: "all"|"role"|"department"|"users",
+//         role?, departmentId?, userIds? }, priority?, pinned?, expires_at? }
+// Everyone / a whole role needs notifications.broadcast; departments and
+// users need notifications.send.all, or .team for the sender's own teams.
+// ============================================================
+export const createAnnouncement = async (req, res) => {
+  try {
+    const error = validateAnnouncement(req.body);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const { target } = req.body;
+    if (target.type === "department") {
+      const [departments] = await pool.query("SELECT id FROM departments WHERE id = ?", [
+        target.departmentId,
+      ]);
+      if (!departments.length) return sendResponse(res, 400, false, "Department not found.");
+    }
+    if (target.type === "role" && !(await roleExists(target.role)))
+      return sendResponse(res, 400, false, "Role not found.");
+
+    const { scope } = req;
+    const allowed =
+      ["all", "role"].includes(target.type)
+        ? hasPermission(req, "notifications.broadcast")
+        : scope.all ||
+          (target.type === "department" && scope.departmentIds.includes(Number(target.departmentId))) ||
+          (target.type === "users" && (await isInScope(scope, target.userIds)));
+    if (!allowed) return sendResponse(res, 403, false, "You can't send announcements to this audience.");
+
+    const id = await sendAnnouncement(req.body, req.user.id);
+    await recordAuditEvent(req, "admin.announcement.create", {
+      metadata: { announcementId: id, title: req.body.title, target: target.type },
+    });
+
+    return sendResponse(res, 201, true, "Announcement published.", {
+      announcement: await findAnnouncement(id),
+    });
+  } catch (err) {
+    console.error("Create announcement error:", err);
+    return sendResponse(res, 500, false, "Failed to publish announcement.");
+  }
+};
+
+// ============================================================
+// Edit an announcement. The audience is fixed once published;
+// delete and re-create to change it.
+// Body: { title?, message?, priority?, pinned?, expires_at? (null clears) }
+// ============================================================
+export const updateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findAnnouncement(req.params.id);
+    if (!announcement) return sendResponse(res, 404, false, "Announcement not found.");
+
+    const fields = ["title", "message", "priority", "pinned", "expires_at"].filter(
+      (key) => req.body[key] !== undefined
+    );
+    if (!fields.length) return sendResponse(res, 400, false, "Nothing to update.");
+
+    const error = validateAnnouncement(req.body, { partial: true });
+    if (error) return sendResponse(res, 400, false, error);
+
+    const values = fields.map((key) => {
+      if (key === "pinned") return Boolean(req.body.pinned);
+      if (key === "expires_at") return req.body.expires_at ? new Date(req.body.expires_at) : null;
+      return req.body[key];
+    });
+    await pool.query(
+      `UPDATE notifications SET ${fields.map((key) => `${key} = ?`).join(", ")} WHERE id = ?`,
+      [...values, announcement.id]
+    );
+
+    await recordAuditEvent(req, "admin.announcement.update", {
+      metadata: { announcementId: announcement.id, fields },
+    });
+    return sendResponse(res, 200, true, "Announcement updated successfully.", {
+      announcement: await findAnnouncement(announcement.id),
+    });
+  } catch (err) {
+    console.error("Update announcement error:", err);
+    return sendResponse(res, 500, false, "Failed to update announcement.");
+  }
+};
+
+// ============================================================
+// Delete an announcement for everyone
+// ============================================================
+export const deleteAnnouncement = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM notifications WHERE id = ? AND user_id IS NULL", [
+      req.params.id,
+    ]);
+    if (!result.affectedRows) return sendResponse(res, 404, false, "Announcement not found.");
+
+    await recordAuditEvent(req, "admin.announcement.delete", {
+      metadata: { announcementId: Number(req.params.id) },
+    });
+    return sendResponse(res, 200, true, "Announcement deleted successfully.");
+  } catch (err) {
+    console.error("Delete announcement error:", err);
+    return sendResponse(res, 500, false, "Failed to delete announcement.");
+  }
+};
@@ -0,0 +1,299 @@
+//   Handles clock-in / clock-out punches and attendance history
+//   for the logged-in user. Clock-ins are flagged against the user's
+//   shift (on_time / late / absent). Uses the same sendResponse format
+//   as the auth and user controllers.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { notifyUser, notifyAdmins, notifyManagers } from "../utils/notifyUser.js";
+import { scopeCondition } from "../utils/departments.js";
+import {
+  WEEKDAYS,
+  findShiftForUser,
+  classifyClockIn,
+  getShiftWindow,
+} from "../utils/shiftSchedule.js";
+import { findApprovedLeave } from "../utils/leaveBalance.js";
+import { toDate, formatDate } from "../utils/workingDays.js";
+import { syncOvertimeApprovals } from "../utils/overtime.js";
+import { findHoliday, getHolidayDates } from "../utils/holidays.js";
+
+// Format a duration in minutes as "Xh Ym" for notifications
+const formatDuration = (minutes) => `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+
+// ============================================================
+// Clock in (rejects if the user already has an open record)
+// Status is NULL when the user has no shift scheduled today, or
+// today is a public holiday / company closure.
+// Location details come from verifyGeofence (mobile) or
+// redeemKioskToken (kiosk QR scan).
+// ============================================================
+export const clockIn = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [open] = await pool.query(
+      "SELECT id, clock_in FROM attendance_records WHERE user_id = ? AND clock_out IS NULL",
+      [userId]
+    );
+    if (open.length)
+      return sendResponse(res, 409, false, "You are already clocked in.", {
+        record: open[0],
+      });
+
+    const now = new Date();
+    const shift = (await findHoliday(now)) ? null : await findShiftForUser(userId, now);
+    let { status, lateMinutes } = shift
+      ? classifyClockIn(shift, now)
+      : { status: null, lateMinutes: 0 };
+
+    // A missed shift on a day of approved leave is excused, not absent
+    if (status === "absent" && (await findApprovedLeave(userId, now))) status = "excused";
+
+    const geo = req.geofence || {};
+    const [result] = await pool.query(
+      `INSERT INTO attendance_records
+         (user_id, clock_in, shift_id, status, late_minutes, site_id, latitude, longitude, outside_geofence, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        now,
+        shift ? shift.id : null,
+        status,
+        lateMinutes,
+        geo.siteId || null,
+        geo.latitude ?? null,
+        geo.longitude ?? null,
+        Boolean(geo.outside),
+        req.kiosk ? "kiosk" : "mobile",
+      ]
+    );
+
+    await notifyUser(userId, "Clocked In", `You clocked in at ${now.toLocaleTimeString()}.`, "attendance");
+
+    if (status === "late" || status === "absent") {
+      const isLate = status === "late";
+      await notifyUser(
+        userId,
+        isLate ? "Late Arrival" : "Missed Shift",
+        `You clocked in ${isLate ? `${lateMinutes} min late` : "after your shift ended"} (shift starts at ${shift.start_time}).`,
+        "attendance"
+      );
+
+      const [userRows] = await pool.query("SELECT name, email FROM users WHERE id = ?", [userId]);
+      const who = userRows.length ? userRows[0].name || userRows[0].email : `User ${userId}`;
+      const title = isLate ? "Staff Late Arrival" : "Staff Missed Shift";
+      const message = `${who} clocked in ${isLate ? `${lateMinutes} min late` : "after their shift ended"} at ${now.toLocaleTimeString()}.`;
+      await notifyAdmins(title, message, "attendance");
+      await notifyManagers(userId, "attendance.read.team", title, message, "attendance");
+    }
+
+    return sendResponse(res, 201, true, "Clocked in successfully.", {
+      record: {
+        id: result.insertId,
+        clock_in: now,
+        clock_out: null,
+        duration_minutes: null,
+        shift_id: shift ? shift.id : null,
+        status,
+        late_minutes: lateMinutes,
+        site_id: geo.siteId || null,
+        outside_geofence: Boolean(geo.outside),
+        source: req.kiosk ? "kiosk" : "mobile",
+      },
+    });
+  } catch (err) {
+    console.error("Clock-in error:", err);
+    return sendResponse(res, 500, false, "Failed to clock in.");
+  }
+};
+
+// ============================================================
+// Clock out (closes the open record and stores its duration)
+// Also re-checks the day's overtime so anything above the approval
+// cap is queued for admins straight away.
+// ============================================================
+export const clockOut = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [open] = await pool.query(
+      "SELECT id, clock_in FROM attendance_records WHERE user_id = ? AND clock_out IS NULL",
+      [userId]
+    );
+    if (!open.length) return sendResponse(res, 400, false, "You are not clocked in.");
+
+    const record = open[0];
+    const now = new Date();
+    const durationMinutes = Math.max(
+      0,
+      Math.round((now - new Date(record.clock_in)) / 60000)
+    );
+
+    await pool.query(
+      "UPDATE attendance_records SET clock_out = ?, duration_minutes = ? WHERE id = ?",
+      [now, durationMinutes, record.id]
+    );
+
+    await notifyUser(
+      userId,
+      "Clocked Out",
+      `You clocked out at ${now.toLocaleTimeString()} after ${formatDuration(durationMinutes)}.`,
+      "attendance"
+    );
+
+    try {
+      const workDate = formatDate(record.clock_in);
+      await syncOvertimeApprovals(userId, workDate, workDate);
+    } catch (e) {
+      console.error("Overtime check failed:", e.message);
+    }
+
+    return sendResponse(res, 200, true, "Clocked out successfully.", {
+      record: {
+        id: record.id,
+        clock_in: record.clock_in,
+        clock_out: now,
+        duration_minutes: durationMinutes,
+      },
+    });
+  } catch (err) {
+    console.error("Clock-out error:", err);
+    return sendResponse(res, 500, false, "Failed to clock out.");
+  }
+};
+
+// ============================================================
+// Fetch the logged-in user's attendance history
+// Optional query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// ============================================================
+export const getMyAttendance = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { from, to } = req.query;
+
+    let sql = `
+      SELECT id, clock_in, clock_out, duration_minutes, shift_id, status, late_minutes,
+             site_id, outside_geofence, source
+      FROM attendance_records
+      WHERE user_id = ?`;
+    const params = [userId];
+
+    if (from) {
+      sql += " AND clock_in >= ?";
+      params.push(from);
+    }
+    if (to) {
+      sql += " AND clock_in < DATE_ADD(?, INTERVAL 1 DAY)";
+      params.push(to);
+    }
+    sql += " ORDER BY clock_in DESC";
+
+    const [rows] = await pool.query(sql, params);
+
+    if (rows.length === 0)
+      return sendResponse(res, 200, true, "No attendance records yet.", { records: [] });
+
+    return sendResponse(res, 200, true, "Attendance fetched successfully.", {
+      records: rows,
+    });
+  } catch (err) {
+    console.error("Fetch attendance error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch attendance.");
+  }
+};
+
+// ============================================================
+// Admin / manager: attendance status of every scheduled user for one day
+// (managers only see their own teams)
+// Optional query: ?date=YYYY-MM-DD (defaults to today)
+//   present statuses come from the clock-in record (on_time / late / absent)
+//   holiday   - no clock-in, day is a public holiday / company closure
+//   excused   - no clock-in, but on approved leave
+//   scheduled - no clock-in yet, shift hasn't ended
+//   absent    - no clock-in and the shift has ended
+// ============================================================
+export const getDailyAttendance = async (req, res) => {
+  try {
+    const day = toDate(req.query.date || formatDate(new Date()));
+    if (!day) return sendResponse(res, 400, false, "date must be in YYYY-MM-DD format.");
+    const dayStr = formatDate(day);
+    const scope = scopeCondition(req.scope, "u.department_id");
+
+    const [shifts] = await pool.query(
+      `SELECT s.user_id, s.start_time, s.end_time, u.name, u.email
+       FROM shifts s
+       JOIN users u ON u.id = s.user_id
+       WHERE FIND_IN_SET(?, s.weekdays)${scope.sql}`,
+      [WEEKDAYS[day.getDay()], ...scope.params]
+    );
+    const [records] = await pool.query(
+      `SELECT a.id, a.user_id, a.clock_in, a.clock_out, a.duration_minutes, a.status,
+              a.late_minutes, u.name, u.email
+       FROM attendance_records a
+       JOIN users u ON u.id = a.user_id
+       WHERE DATE(a.clock_in) = ?${scope.sql}
+       ORDER BY a.clock_in`,
+      [dayStr, ...scope.params]
+    );
+    const [leave] = await pool.query(
+      `SELECT user_id, leave_type FROM leave_requests
+       WHERE status = 'approved' AND ? BETWEEN start_date AND end_date`,
+      [dayStr]
+    );
+
+    const isHoliday = (await getHolidayDates(day, day)).has(dayStr);
+    const now = new Date();
+    const byUser = new Map();
+
+    for (const shift of shifts) {
+      const entry = byUser.get(shift.user_id) || {
+        user_id: shift.user_id,
+        name: shift.name,
+        email: shift.email,
+        shiftEnd: null,
+        record: null,
+      };
+      const { end } = getShiftWindow(shift, day);
+      if (!entry.shiftEnd || end > entry.shiftEnd) entry.shiftEnd = end;
+      byUser.set(shift.user_id, entry);
+    }
+    for (const record of records) {
+      const entry = byUser.get(record.user_id) || {
+        user_id: record.user_id,
+        name: record.name,
+        email: record.email,
+        shiftEnd: null,
+        record: null,
+      };
+      if (!entry.record) entry.record = record;
+      byUser.set(record.user_id, entry);
+    }
+    const leaveByUser = new Map(leave.map((l) => [l.user_id, l.leave_type]));
+
+    const attendance = [...byUser.values()].map(({ shiftEnd, record, ...user }) => {
+      let status;
+      if (record) status = record.status || "present";
+      else if (isHoliday) status = "holiday";
+      else if (leaveByUser.has(user.user_id)) status = "excused";
+      else if (shiftEnd && shiftEnd > now) status = "scheduled";
+      else status = "absent";
+
+      return {
+        ...user,
+        status,
+        leave_type: leaveByUser.get(user.user_id) || null,
+        clock_in: record ? record.clock_in : null,
+        clock_out: record ? record.clock_out : null,
+        late_minutes: record ? record.late_minutes : 0,
+      };
+    });
+
+    return sendResponse(res, 200, true, "Daily attendance fetched successfully.", {
+      date: dayStr,
+      attendance,
+    });
+  } catch (err) {
+    console.error("Daily attendance error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch daily attendance.");
+  }
+};
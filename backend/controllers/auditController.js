@@ -0,0 +1,132 @@
+//   Read access to the security audit log for admins, as paginated
+//   JSON or a streamed CSV export. Events are written by utils/auditLog.js.
+import pool, { streamQuery } from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { toDate } from "../utils/workingDays.js";
+import { csvRow, write } from "../utils/csv.js";
+
+const AUDIT_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "occurred_at", header: "Time" },
+  { key: "action", header: "Action" },
+  { key: "actor_user_id", header: "Actor ID" },
+  { key: "actor_email", header: "Actor Email" },
+  { key: "target_user_id", header: "Target ID" },
+  { key: "target_email", header: "Target Email" },
+  { key: "ip_address", header: "IP" },
+  { key: "user_agent", header: "User Agent" },
+  { key: "metadata", header: "Metadata" },
+];
+
+const SELECT_EVENTS = `
+  SELECT e.id, e.occurred_at, e.action, e.actor_user_id, a.email AS actor_email,
+         e.target_user_id, t.email AS target_email, e.ip_address, e.user_agent, e.metadata
+  FROM audit_events e
+  LEFT JOIN users a ON a.id = e.actor_user_id
+  LEFT JOIN users t ON t.id = e.target_user_id`;
+
+/**
+ * Build the WHERE clause from query filters.
+ *   userId - events where the user is the actor or the target
+ *   action - exact action, or a prefix ending in "*" (e.g. "auth.*")
+ *   from / to - inclusive dates (YYYY-MM-DD)
+ *
+ * @returns {{ where: string, params: any[] }|{ error: string }}
+ */
+const buildFilters = ({ userId, action, from, to }) => {
+  let where = "WHERE 1 = 1";
+  const params = [];
+
+  if (userId) {
+    where += " AND (e.actor_user_id = ? OR e.target_user_id = ?)";
+    params.push(userId, userId);
+  }
+  if (action) {
+    if (action.endsWith("*")) {
+      where += " AND e.action LIKE ?";
+      params.push(`${action.slice(0, -1).replace(/[\\%_]/g, "\\$&")}%`);
+    } else {
+      where += " AND e.action = ?";
+      params.push(action);
+    }
+  }
+  if (from) {
+    if (!toDate(from)) return { error: "from must be a date (YYYY-MM-DD)." };
+    where += " AND e.occurred_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    if (!toDate(to)) return { error: "to must be a date (YYYY-MM-DD)." };
+    where += " AND e.occurred_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+  return { where, params };
+};
+
+const parseMetadata = (metadata) =>
+  typeof metadata === "string" ? JSON.parse(metadata) : metadata;
+
+// Stream matching events as CSV without buffering the whole log
+const streamCsv = async (res, { where, params }) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="audit_${Date.now()}.csv"`);
+
+  await write(res, csvRow(AUDIT_COLUMNS.map((c) => c.header)));
+  const rows = await streamQuery(`${SELECT_EVENTS} ${where} ORDER BY e.id DESC`, params);
+  for await (const row of rows) {
+    const formatted = {
+      ...row,
+      occurred_at: new Date(row.occurred_at).toISOString(),
+      metadata: row.metadata ? JSON.stringify(parseMetadata(row.metadata)) : "",
+    };
+    await write(res, csvRow(AUDIT_COLUMNS.map((c) => formatted[c.key])));
+  }
+  res.end();
+};
+
+// ============================================================
+// Admin: list audit events (newest first)
+// Query: ?userId=&action=auth.login_failed|auth.*&from=&to=&page=1&limit=50&format=json|csv
+// ============================================================
+export const listAuditEvents = async (req, res) => {
+  const { format = "json" } = req.query;
+  if (!["json", "csv"].includes(format))
+    return sendResponse(res, 400, false, "format must be json or csv.");
+
+  const filters = buildFilters(req.query);
+  if (filters.error) return sendResponse(res, 400, false, filters.error);
+
+  try {
+    if (format === "csv") {
+      await recordAuditEvent(req, "admin.audit.export", {
+        metadata: { userId: req.query.userId, action: req.query.action, from: req.query.from, to: req.query.to },
+      });
+      return await streamCsv(res, filters);
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM audit_events e ${filters.where}`,
+      filters.params
+    );
+    const [rows] = await pool.query(
+      `${SELECT_EVENTS} ${filters.where} ORDER BY e.id DESC LIMIT ? OFFSET ?`,
+      [...filters.params, limit, (page - 1) * limit]
+    );
+
+    return sendResponse(res, 200, true, "Audit events fetched successfully.", {
+      events: rows.map((row) => ({ ...row, metadata: parseMetadata(row.metadata) })),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    // The client aborted the download; its query stream is already closed
+    if (res.destroyed) return;
+    console.error("List audit events error:", err);
+    // Headers are already sent once a CSV stream starts, so we can only abort
+    if (!res.headersSent) return sendResponse(res, 500, false, "Failed to fetch audit events.");
+    res.destroy(err);
+  }
+};
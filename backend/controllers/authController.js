@@ -1,52 +1,144 @@
-// Handles registration, login (with lockout), forgot/reset password via email (primary or backup),
-// and manual account unlock.
+// Handles registration with email verification (or invite acceptance when
+// SIGNUP_MODE=invite), login (with lockout and optional
+// TOTP 2FA), refresh-token rotation, logout, forgot/reset password via email
+// (primary or verified backup) or SMS code, and self-service account unlock
+// through an emailed one-time link.
 
 import pool from "../config/db.js";
-import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import { hashPassword, comparePassword } from "../utils/hashPassword.js";
 import { sendResponse } from "../utils/responseHandler.js";
 import { notifyUser } from "../utils/notifyUser.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
 import { sendEmail } from "../utils/sendEmail.js";
+import { sendSms } from "../utils/sendSms.js";
+import { verifyTotp, hashRecoveryCode } from "../utils/totp.js";
+import {
+  isStrongPassword,
+  isPasswordReused,
+  recordPasswordHistory,
+  WEAK_PASSWORD_MESSAGE,
+} from "../utils/passwordPolicy.js";
+import {
+  ACCESS_TOKEN_TTL,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+} from "../utils/authTokens.js";
+import {
+  MAX_FAILED_ATTEMPTS,
+  lockAccount,
+  clearLock,
+  hashUnlockToken,
+} from "../utils/accountLock.js";
+import { sendVerificationEmail, confirmEmailVerification } from "../utils/emailVerification.js";
+import { SIGNUP_MODE, findPendingInvite } from "../utils/invites.js";
 
 // =============================================
 // SECURITY & SETTINGS
 // =============================================
-const MAX_FAILED_ATTEMPTS = 3;
-const LOCK_DURATION_SECONDS = 30;
-
-// Strong password validation (8+ chars, upper, lower, digit, special)
-const isStrongPassword = (password) => {
-  const re =
-    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]).{8,}$/;
-  return re.test(password);
+const SMS_CODE_EXPIRY_MINUTES = 10;
+const MAX_SMS_CODE_ATTEMPTS = 5;
+
+// SMS codes are only 6 digits, so hash them with a server secret (HMAC)
+// rather than a plain SHA-256 that could be brute-forced from a DB dump
+const hashSmsCode = (code) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(String(code)).digest("hex");
+
+// Returns a 423 response if the account is currently locked, otherwise null
+const rejectIfLocked = async (req, res, user) => {
+  if (user.lock_until && new Date(user.lock_until) > new Date()) {
+    const secondsLeft = Math.ceil((new Date(user.lock_until) - new Date()) / 1000);
+    await recordAuditEvent(req, "auth.login_blocked", {
+      actorId: user.id,
+      targetUserId: user.id,
+      metadata: { lockUntil: user.lock_until },
+    });
+    return sendResponse(
+      res,
+      423,
+      false,
+      `Account locked. Try again in ${secondsLeft}s.`
+    );
+  }
+  return null;
+};
+
+// Count a failed password / 2FA attempt and lock the account after too many.
+// Each consecutive lockout lasts longer and emails an unlock link (utils/accountLock.js).
+const recordFailedAttempt = async (req, res, user, message) => {
+  const attempts = (user.failed_login_attempts || 0) + 1;
+
+  await recordAuditEvent(req, "auth.login_failed", {
+    actorId: user.id,
+    targetUserId: user.id,
+    metadata: { reason: message, attempts },
+  });
+
+  if (attempts < MAX_FAILED_ATTEMPTS) {
+    await pool.query("UPDATE users SET failed_login_attempts=? WHERE id=?", [attempts, user.id]);
+    return sendResponse(res, 401, false, message);
+  }
+
+  const { lockUntil, lockoutCount, durationSeconds } = await lockAccount(user);
+  await recordAuditEvent(req, "auth.lockout", {
+    actorId: user.id,
+    targetUserId: user.id,
+    metadata: { lockUntil, lockoutCount, durationSeconds },
+  });
+
+  return sendResponse(
+    res,
+    401,
+    false,
+    `Account locked for ${durationSeconds}s after ${MAX_FAILED_ATTEMPTS} failed attempts. Check your email for an unlock link.`
+  );
 };
 
-// JWT helper
-// set the period to 15 days when generating the token (demo purposes)
-const generateAccessToken = (user) =>
-  jwt.sign({ id: user.id, email: user.email }, process.env.JWT_SECRET, {
-    expiresIn: "15d",
+// Reset the lockout counter and start a session
+// method: "password", "totp" or "recovery_code" (kept in the audit log)
+const completeLogin = async (res, req, user, method) => {
+  await clearLock(user.id, { resetEscalation: true });
+
+  // Account activity, not a security alert: it shouldn't force an email
+  // (and wait on SMTP) for every login
+  await notifyUser(user.id, "Login Successful", "You logged in successfully.", "account");
+  const { token, refreshToken, sessionId } = await createSession(user, req);
+  await recordAuditEvent(req, "auth.login", {
+    actorId: user.id,
+    targetUserId: user.id,
+    metadata: { method, sessionId },
+  });
+
+  return sendResponse(res, 200, true, "Login successful.", {
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
   });
+};
 
 // =============================================
 // REGISTER USER
 // ( allow optional backup_email if frontend sends it)
+// The account can't log in until the emailed verification link is used.
+// Disabled when SIGNUP_MODE=invite (accounts come from admin invites).
 // =============================================
 export const registerUser = async (req, res, next) => {
   try {
+    if (SIGNUP_MODE === "invite")
+      return sendResponse(res, 403, false, "Sign-up is by invitation only. Ask an administrator for an invite.");
+
     const { email, password, name, phone, backup_email } = req.body;
 
     if (!email || !password)
       return sendResponse(res, 400, false, "Email and password are required.");
 
     if (!isStrongPassword(password))
-      return sendResponse(
-        res,
-        400,
-        false,
-        "Password must include uppercase, lowercase, number, and special character."
-      );
+      return sendResponse(res, 400, false, WEAK_PASSWORD_MESSAGE);
 
     const [existing] = await pool.query("SELECT id FROM users WHERE email = ?", [email]);
     if (existing.length) return sendResponse(res, 409, false, "User already exists.");
@@ -57,9 +149,16 @@ export const registerUser = async (req, res, next) => {
       [email, name || null, hashed, phone || null, backup_email || null]
     );
 
-    const [newUser] = await pool.query("SELECT id FROM users WHERE email = ?", [email]);
+    const [newUser] = await pool.query("SELECT id, email, backup_email FROM users WHERE email = ?", [email]);
 
     if (newUser && newUser.length) {
+      await recordAuditEvent(req, "auth.signup", {
+        actorId: newUser[0].id,
+        targetUserId: newUser[0].id,
+        metadata: { email },
+      });
+      await sendVerificationEmail(newUser[0], "email");
+      if (newUser[0].backup_email) await sendVerificationEmail(newUser[0], "backup_email");
       await notifyUser(
         newUser[0].id,
         "Welcome!",
@@ -67,15 +166,98 @@ export const registerUser = async (req, res, next) => {
       );
     }
 
-    return sendResponse(res, 201, true, "User registered successfully.");
+    return sendResponse(
+      res,
+      201,
+      true,
+      "User registered successfully. Check your email to verify your account."
+    );
   } catch (err) {
     console.error("Signup Error:", err);
     next(err);
   }
 };
 
+// =============================================
+// ACCEPT INVITE (one-time link emailed by an admin)
+// Endpoint: POST /api/auth/accept-invite
+// Body: { "email", "token", "name", "phone"?, "password" }
+// Creates the account with the invited role and department. The email is
+// treated as verified since the link was delivered to it.
+// =============================================
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const { email, token, name, phone, password } = req.body;
+
+    if (!email || !token || !name || !password)
+      return sendResponse(res, 400, false, "Email, token, name and password are required.");
+
+    if (!isStrongPassword(password))
+      return sendResponse(res, 400, false, WEAK_PASSWORD_MESSAGE);
+
+    const invite = await findPendingInvite(email, token);
+    if (!invite) {
+      await recordAuditEvent(req, "auth.invite_rejected", { metadata: { email } });
+      return sendResponse(res, 400, false, "Invalid or expired invite link.");
+    }
+
+    const [existing] = await pool.query("SELECT id FROM users WHERE email = ?", [invite.email]);
+    if (existing.length) return sendResponse(res, 409, false, "User already exists.");
+
+    const hashed = await hashPassword(password);
+
+    // Claim the invite and create the account together: the claim stops the
+    // same link creating two accounts, and rolling back keeps the link usable
+    // if the account can't be created
+    const conn = await pool.getConnection();
+    let userId;
+    try {
+      await conn.beginTransaction();
+      const [claimed] = await conn.query(
+        "UPDATE user_invites SET accepted_at = NOW(), token_hash = NULL WHERE id = ? AND accepted_at IS NULL",
+        [invite.id]
+      );
+      if (!claimed.affectedRows) {
+        await conn.rollback();
+        return sendResponse(res, 400, false, "Invalid or expired invite link.");
+      }
+
+      const [result] = await conn.query(
+        `INSERT INTO users (email, name, password_hash, phone, role, department_id, email_verified_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [invite.email, name, hashed, phone || null, invite.role, invite.department_id]
+      );
+      userId = result.insertId;
+      await conn.query("UPDATE user_invites SET accepted_user_id = ? WHERE id = ?", [userId, invite.id]);
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      if (err.code === "ER_DUP_ENTRY") return sendResponse(res, 409, false, "User already exists.");
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    await recordAuditEvent(req, "auth.invite_accepted", {
+      actorId: userId,
+      targetUserId: userId,
+      metadata: { inviteId: invite.id, role: invite.role, departmentId: invite.department_id },
+    });
+    await notifyUser(userId, "Welcome!", "Your account has been created successfully.");
+    if (invite.invited_by)
+      await notifyUser(invite.invited_by, "Invite Accepted", `${name} (${invite.email}) accepted your invite.`);
+
+    return sendResponse(res, 201, true, "Account created. You can now log in.");
+  } catch (err) {
+    console.error("Accept Invite Error:", err);
+    next(err);
+  }
+};
+
 // =============================================
 // LOGIN USER (with lockout after 3 failed attempts)
+// If 2FA is enabled, returns a challenge token instead of a session;
+// exchange it at POST /api/auth/login/2fa.
 // =============================================
 export const loginUser = async (req, res, next) => {
   try {
@@ -85,54 +267,154 @@ export const loginUser = async (req, res, next) => {
       return sendResponse(res, 400, false, "Email and password are required.");
 
     const [rows] = await pool.query("SELECT * FROM users WHERE email = ?", [email]);
-    if (!rows.length) return sendResponse(res, 401, false, "Invalid credentials.");
+    if (!rows.length) {
+      await recordAuditEvent(req, "auth.login_failed", { metadata: { email, reason: "Unknown email." } });
+      return sendResponse(res, 401, false, "Invalid credentials.");
+    }
 
     const user = rows[0];
 
     // Handle temporary lockout
-    if (user.lock_until && new Date(user.lock_until) > new Date()) {
-      const secondsLeft = Math.ceil((new Date(user.lock_until) - new Date()) / 1000);
-      return sendResponse(
-        res,
-        423,
-        false,
-        `Account locked. Try again in ${secondsLeft}s.`
-      );
-    }
+    if (await rejectIfLocked(req, res, user)) return;
 
     const isMatch = await comparePassword(password, user.password_hash);
-    if (!isMatch) {
-      const attempts = (user.failed_login_attempts || 0) + 1;
-      let lockUntil = null;
-      if (attempts >= MAX_FAILED_ATTEMPTS)
-        lockUntil = new Date(Date.now() + LOCK_DURATION_SECONDS * 1000);
+    if (!isMatch) return recordFailedAttempt(req, res, user, "Invalid email or password.");
+
+    // Deactivation and verification are only checked after the password
+    // so account status isn't revealed to others
+    if (!user.is_active) {
+      await recordAuditEvent(req, "auth.login_failed", {
+        actorId: user.id,
+        targetUserId: user.id,
+        metadata: { reason: "Account deactivated." },
+      });
+      return sendResponse(res, 403, false, "This account has been deactivated.");
+    }
+    if (!user.email_verified_at) {
+      await recordAuditEvent(req, "auth.login_failed", {
+        actorId: user.id,
+        targetUserId: user.id,
+        metadata: { reason: "Email not verified." },
+      });
+      return sendResponse(res, 403, false, "Please verify your email address before logging in.", {
+        emailVerificationRequired: true,
+      });
+    }
 
-      await pool.query(
-        "UPDATE users SET failed_login_attempts=?, lock_until=? WHERE id=?",
-        [attempts, lockUntil, user.id]
-      );
+    // Password is right but 2FA is still required; the failed-attempt
+    // counter is only reset once the second factor is verified
+    if (user.totp_enabled)
+      return sendResponse(res, 200, true, "Two-factor code required.", {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+      });
 
-      return sendResponse(
-        res,
-        401,
-        false,
-        attempts >= MAX_FAILED_ATTEMPTS
-          ? `Account locked for ${LOCK_DURATION_SECONDS}s after ${MAX_FAILED_ATTEMPTS} failed attempts.`
-          : "Invalid email or password."
-      );
+    return completeLogin(res, req, user, "password");
+  } catch (err) {
+    console.error("Login Error:", err);
+    next(err);
+  }
+};
+
+// =============================================
+// LOGIN STEP 2: exchange challenge token + TOTP (or recovery) code
+// Endpoint: POST /api/auth/login/2fa
+// Body: { "challengeToken": "...", "code": "123456" }  (or a recovery code like "ABCD-EFGH")
+// =============================================
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code)
+      return sendResponse(res, 400, false, "Challenge token and code are required.");
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) return sendResponse(res, 401, false, "Login session expired. Please log in again.");
+
+    const [rows] = await pool.query("SELECT * FROM users WHERE id = ?", [userId]);
+    if (!rows.length || !rows[0].totp_enabled || !rows[0].is_active)
+      return sendResponse(res, 401, false, "Login session expired. Please log in again.");
+
+    const user = rows[0];
+    if (await rejectIfLocked(req, res, user)) return;
+
+    // TOTP code (each time step can only be used once)
+    const step = verifyTotp(user.totp_secret, String(code).trim(), user.totp_last_step);
+    if (step !== null) {
+      await pool.query("UPDATE users SET totp_last_step = ? WHERE id = ?", [step, user.id]);
+      return completeLogin(res, req, user, "totp");
     }
 
-    await pool.query(
-      "UPDATE users SET failed_login_attempts=0, lock_until=NULL WHERE id=?",
-      [user.id]
+    // One-time recovery code
+    const [used] = await pool.query(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [user.id, hashRecoveryCode(code)]
     );
+    if (used.affectedRows > 0) {
+      await notifyUser(user.id, "Recovery Code Used", "A 2FA recovery code was used to log in.", "security");
+      return completeLogin(res, req, user, "recovery_code");
+    }
 
-    await notifyUser(user.id, "Login Successful", "You logged in successfully.");
-    const token = generateAccessToken(user);
+    return recordFailedAttempt(req, res, user, "Invalid two-factor code.");
+  } catch (err) {
+    console.error("2FA Login Error:", err);
+    next(err);
+  }
+};
 
-    return sendResponse(res, 200, true, "Login successful.", { token });
+// =============================================
+// REFRESH ACCESS TOKEN (rotates the refresh token)
+// Endpoint: POST /api/auth/refresh
+// Body: { "refreshToken": "..." }
+// =============================================
+export const refreshAccessToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return sendResponse(res, 400, false, "Refresh token is required.");
+
+    const tokens = await rotateRefreshToken(refreshToken);
+    if (!tokens) return sendResponse(res, 401, false, "Invalid or expired refresh token.");
+
+    return sendResponse(res, 200, true, "Token refreshed.", {
+      ...tokens,
+      expiresIn: ACCESS_TOKEN_TTL,
+    });
   } catch (err) {
-    console.error("Login Error:", err);
+    console.error("Refresh Token Error:", err);
+    next(err);
+  }
+};
+
+// =============================================
+// LOGOUT (revokes the session of the given refresh token)
+// Endpoint: POST /api/auth/logout
+// Body: { "refreshToken": "...", "allDevices": false }
+// =============================================
+export const logoutUser = async (req, res, next) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    if (!refreshToken) return sendResponse(res, 400, false, "Refresh token is required.");
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    // generic response so unknown tokens can't be probed
+    if (!session) return sendResponse(res, 200, true, "Logged out successfully.");
+
+    await recordAuditEvent(req, "auth.logout", {
+      actorId: session.user_id,
+      targetUserId: session.user_id,
+      metadata: { sessionId: session.id, allDevices: Boolean(allDevices) },
+    });
+
+    if (allDevices) {
+      await revokeAllSessions(session.user_id);
+      await notifyUser(session.user_id, "Logged Out Everywhere", "All your sessions were signed out.", "security");
+    } else {
+      await revokeSession(session.id);
+    }
+
+    return sendResponse(res, 200, true, "Logged out successfully.");
+  } catch (err) {
+    console.error("Logout Error:", err);
     next(err);
   }
 };
@@ -142,14 +424,17 @@ export const loginUser = async (req, res, next) => {
 // Endpoint: POST /api/auth/forgot
 // Body: { "email": "primary@example.com" } -> send to primary email
 // OR   { "email": "primary@example.com", "backupEmail": "backup@example.com" } -> send to backup email (must match stored backup_email)
+// OR   { "email": "primary@example.com", "method": "sms" } -> send a 6-digit code to the stored phone
 // =============================================
 export const forgotPassword = async (req, res, next) => {
   try {
-    const { email, backupEmail } = req.body;
+    const { email, backupEmail, method } = req.body;
     if (!email) return sendResponse(res, 400, false, "Email is required.");
 
+    if (method === "sms") return sendResetSmsCode(req, res, email);
+
     const [rows] = await pool.query(
-      "SELECT id, email, backup_email FROM users WHERE email = ?",
+      "SELECT id, email, backup_email, backup_email_verified_at FROM users WHERE email = ?",
       [email]
     );
 
@@ -158,29 +443,40 @@ export const forgotPassword = async (req, res, next) => {
 
     const user = rows[0];
 
-    // Generate token (send raw token in email, store only hash in DB)
-    const token = crypto.randomBytes(32).toString("hex");
-    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
-    const tokenExpiry = new Date(Date.now() + 30 * 60 * 1000); // 30m expiry
-
-    // Save hash + expiry
-    await pool.query(
-      "UPDATE users SET reset_token_hash=?, reset_expires=? WHERE id=?",
-      [tokenHash, tokenExpiry, user.id]
-    );
-
     // Determine target email
     let targetEmail = user.email;
     if (backupEmail) {
-      // security: only allow sending to backup if it matches user's stored backup_email
-      if (!user.backup_email || user.backup_email.toLowerCase() !== backupEmail.toLowerCase()) {
+      // security: only allow sending to backup if it matches user's stored, verified backup_email
+      const reason =
+        !user.backup_email || user.backup_email.toLowerCase() !== backupEmail.toLowerCase()
+          ? "Backup email mismatch."
+          : !user.backup_email_verified_at
+            ? "Backup email not verified."
+            : null;
+      if (reason) {
         // don't reveal details — return generic success message
-        console.warn("Attempt to use mismatched backup email for user id:", user.id);
+        console.warn(`Rejected backup email reset for user id ${user.id}: ${reason}`);
+        await recordAuditEvent(req, "auth.password_reset_rejected", {
+          targetUserId: user.id,
+          metadata: { channel: "backup_email", reason },
+        });
         return sendResponse(res, 200, true, "Password reset link sent to backup email successfully.");
       }
       targetEmail = user.backup_email;
     }
 
+    // Generate token (send raw token in email, store only hash in DB)
+    const token = crypto.randomBytes(32).toString("hex");
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const tokenExpiry = new Date(Date.now() + 30 * 60 * 1000); // 30m expiry
+
+    // Save hash + expiry, and where the link went (resetPassword uses it
+    // to tell whether the reset proves ownership of the primary address)
+    await pool.query(
+      "UPDATE users SET reset_token_hash=?, reset_expires=?, reset_sent_to=? WHERE id=?",
+      [tokenHash, tokenExpiry, targetEmail, user.id]
+    );
+
     // Build reset link (include token and the target email as query params)
     const resetLink = `${process.env.FRONTEND_ORIGIN}/reset-password?token=${token}&email=${encodeURIComponent(
       targetEmail
@@ -201,7 +497,11 @@ export const forgotPassword = async (req, res, next) => {
       // don't fail the request — we still give generic success message
     }
 
-    await notifyUser(user.id, "Password Reset Requested", `Reset link sent to ${targetEmail}`);
+    await recordAuditEvent(req, "auth.password_reset_requested", {
+      targetUserId: user.id,
+      metadata: { channel: backupEmail ? "backup_email" : "email" },
+    });
+    await notifyUser(user.id, "Password Reset Requested", `Reset link sent to ${targetEmail}`, "security");
 
     return sendResponse(res, 200, true, "Password reset link sent successfully.");
   } catch (err) {
@@ -210,6 +510,133 @@ export const forgotPassword = async (req, res, next) => {
   }
 };
 
+// =============================================
+// SEND RESET CODE BY SMS (called from forgotPassword with method: "sms")
+// Stores only a hash of the code; the attempt counter starts at 0.
+// =============================================
+const sendResetSmsCode = async (req, res, email) => {
+  const genericMessage = "If that account has a phone number, a reset code was sent.";
+
+  const [rows] = await pool.query("SELECT id, phone FROM users WHERE email = ?", [email]);
+  if (!rows.length || !rows[0].phone) return sendResponse(res, 200, true, genericMessage);
+
+  const user = rows[0];
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  const expires = new Date(Date.now() + SMS_CODE_EXPIRY_MINUTES * 60 * 1000);
+
+  await pool.query(
+    "UPDATE users SET reset_sms_code_hash=?, reset_sms_expires=?, reset_sms_attempts=0 WHERE id=?",
+    [hashSmsCode(code), expires, user.id]
+  );
+
+  try {
+    await sendSms(
+      user.phone,
+      `Your Clock It password reset code is ${code}. It expires in ${SMS_CODE_EXPIRY_MINUTES} minutes.`
+    );
+  } catch (e) {
+    console.error("SMS send failed:", e.message);
+    // don't fail the request — we still give generic success message
+  }
+
+  await recordAuditEvent(req, "auth.password_reset_requested", {
+    targetUserId: user.id,
+    metadata: { channel: "sms" },
+  });
+  await notifyUser(
+    user.id,
+    "Password Reset Requested",
+    `Reset code sent by SMS to number ending ${user.phone.slice(-4)}`,
+    "security"
+  );
+
+  return sendResponse(res, 200, true, genericMessage);
+};
+
+// =============================================
+// RESET PASSWORD WITH SMS CODE
+// Endpoint: POST /api/auth/reset-password/sms
+// Body: { "email": "user@example.com", "code": "123456", "newPassword": "NewStrongPass1!" }
+// Each try spends one of MAX_SMS_CODE_ATTEMPTS; once they're used up
+// the code is invalidated.
+// =============================================
+export const resetPasswordWithSms = async (req, res, next) => {
+  try {
+    const { email, code, newPassword } = req.body;
+
+    if (!email || !code || !newPassword)
+      return sendResponse(res, 400, false, "Email, code and new password are required.");
+
+    if (!isStrongPassword(newPassword))
+      return sendResponse(res, 400, false, WEAK_PASSWORD_MESSAGE);
+
+    const [rows] = await pool.query(
+      "SELECT id, password_hash, reset_sms_code_hash, reset_sms_expires FROM users WHERE email = ?",
+      [email]
+    );
+    const user = rows[0];
+    if (!user || !user.reset_sms_code_hash || new Date(user.reset_sms_expires) < new Date())
+      return sendResponse(res, 400, false, "Invalid or expired code.");
+
+    // Spend an attempt before comparing, in a single statement, so parallel
+    // guesses can't all slip in under the cap
+    const [spent] = await pool.query(
+      `UPDATE users SET reset_sms_attempts = reset_sms_attempts + 1
+       WHERE id = ? AND reset_sms_code_hash IS NOT NULL AND reset_sms_attempts < ?`,
+      [user.id, MAX_SMS_CODE_ATTEMPTS]
+    );
+    if (!spent.affectedRows) {
+      await pool.query(
+        `UPDATE users SET reset_sms_code_hash=NULL, reset_sms_expires=NULL, reset_sms_attempts=0
+         WHERE id=? AND reset_sms_code_hash=?`,
+        [user.id, user.reset_sms_code_hash]
+      );
+      return sendResponse(res, 400, false, "Too many wrong codes. Please request a new one.");
+    }
+
+    const isMatch = crypto.timingSafeEqual(
+      Buffer.from(hashSmsCode(String(code).trim())),
+      Buffer.from(user.reset_sms_code_hash)
+    );
+
+    if (!isMatch) {
+      await recordAuditEvent(req, "auth.password_reset_rejected", {
+        targetUserId: user.id,
+        metadata: { channel: "sms", reason: "Wrong code." },
+      });
+      return sendResponse(res, 400, false, "Invalid or expired code.");
+    }
+
+    if (await isPasswordReused(user.id, newPassword))
+      return sendResponse(res, 400, false, "You cannot reuse one of your recent passwords.");
+
+    // Consume the code only if it's still the one we checked, so a single
+    // code can't complete two concurrent resets
+    const hashedNew = await hashPassword(newPassword);
+    const [consumed] = await pool.query(
+      `UPDATE users SET password_hash=?, reset_sms_code_hash=NULL, reset_sms_expires=NULL,
+       reset_sms_attempts=0 WHERE id=? AND reset_sms_code_hash=?`,
+      [hashedNew, user.id, user.reset_sms_code_hash]
+    );
+    if (!consumed.affectedRows) return sendResponse(res, 400, false, "Invalid or expired code.");
+    await recordPasswordHistory(user.id, user.password_hash);
+
+    // sign out every existing session (tokens issued before now are rejected)
+    await revokeAllSessions(user.id);
+
+    await recordAuditEvent(req, "auth.password_reset", {
+      actorId: user.id,
+      targetUserId: user.id,
+      metadata: { channel: "sms" },
+    });
+    await notifyUser(user.id, "Password Reset", "You have successfully reset your password using an SMS code.", "security");
+    return sendResponse(res, 200, true, "Password reset successful.");
+  } catch (err) {
+    console.error("SMS Reset Password Error:", err);
+    next(err);
+  }
+};
+
 // =============================================
 // RESET PASSWORD (email token only)
 // Endpoint: POST /api/auth/reset
@@ -223,12 +650,7 @@ export const resetPassword = async (req, res, next) => {
       return sendResponse(res, 400, false, "Email, token and new password are required.");
 
     if (!isStrongPassword(newPassword))
-      return sendResponse(
-        res,
-        400,
-        false,
-        "Password must include uppercase, lowercase, number, and special character."
-      );
+      return sendResponse(res, 400, false, WEAK_PASSWORD_MESSAGE);
 
     const [rows] = await pool.query("SELECT * FROM users WHERE email = ? OR backup_email = ?", [
       email,
@@ -240,17 +662,37 @@ export const resetPassword = async (req, res, next) => {
 
     // validate token
     const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
-    if (!user.reset_token_hash || user.reset_token_hash !== tokenHash || new Date(user.reset_expires) < new Date())
+    if (!user.reset_token_hash || user.reset_token_hash !== tokenHash || new Date(user.reset_expires) < new Date()) {
+      await recordAuditEvent(req, "auth.password_reset_rejected", {
+        targetUserId: user.id,
+        metadata: { channel: "email", reason: "Invalid or expired token." },
+      });
       return sendResponse(res, 400, false, "Invalid or expired token.");
+    }
+
+    if (await isPasswordReused(user.id, newPassword))
+      return sendResponse(res, 400, false, "You cannot reuse one of your recent passwords.");
 
-    // update password
+    // update password (remember the old hash so it can't be reused)
+    await recordPasswordHistory(user.id, user.password_hash);
     const hashedNew = await hashPassword(newPassword);
+    // a link that was mailed to the primary address also proves the user owns it
+    const provesPrimary = user.email.toLowerCase() === String(user.reset_sent_to).toLowerCase();
     await pool.query(
-      "UPDATE users SET password_hash=?, reset_token_hash=NULL, reset_expires=NULL WHERE id=?",
+      `UPDATE users SET password_hash=?, reset_token_hash=NULL, reset_expires=NULL, reset_sent_to=NULL
+       ${provesPrimary ? ", email_verified_at=COALESCE(email_verified_at, NOW())" : ""} WHERE id=?`,
       [hashedNew, user.id]
     );
 
-    await notifyUser(user.id, "Password Reset", "You have successfully reset your password.");
+    // sign out every existing session (tokens issued before now are rejected)
+    await revokeAllSessions(user.id);
+
+    await recordAuditEvent(req, "auth.password_reset", {
+      actorId: user.id,
+      targetUserId: user.id,
+      metadata: { channel: "email" },
+    });
+    await notifyUser(user.id, "Password Reset", "You have successfully reset your password.", "security");
     return sendResponse(res, 200, true, "Password reset successful.");
   } catch (err) {
     console.error("Reset Password Error:", err);
@@ -259,26 +701,120 @@ export const resetPassword = async (req, res, next) => {
 };
 
 // =============================================
-// UNLOCK ACCOUNT (optional, manual account unlock for security)
+// UNLOCK ACCOUNT (one-time link emailed when the account locked)
+// Endpoint: POST /api/auth/unlock-account
+// Body: { "email": "user@example.com", "token": "TOKEN_FROM_EMAIL" }
+// Admins can also unlock at POST /api/admin/users/:id/unlock.
 // =============================================
 export const unlockAccount = async (req, res, next) => {
   try {
-    const { email } = req.body;
-    if (!email) return sendResponse(res, 400, false, "Email is required.");
+    const { email, token } = req.body;
+    if (!email || !token) return sendResponse(res, 400, false, "Email and token are required.");
 
-    await pool.query(
-      "UPDATE users SET failed_login_attempts=0, lock_until=NULL WHERE email=?",
+    const [rows] = await pool.query(
+      "SELECT id, unlock_token_hash, unlock_expires FROM users WHERE email = ?",
       [email]
     );
+    const user = rows[0];
 
-    const [rows] = await pool.query("SELECT id FROM users WHERE email = ?", [email]);
-    if (rows.length) {
-      await notifyUser(rows[0].id, "Account Unlocked", "Your account was manually unlocked.");
+    const valid =
+      user &&
+      user.unlock_token_hash &&
+      new Date(user.unlock_expires) > new Date() &&
+      crypto.timingSafeEqual(Buffer.from(hashUnlockToken(String(token))), Buffer.from(user.unlock_token_hash));
+    if (!valid) {
+      await recordAuditEvent(req, "auth.unlock_rejected", {
+        targetUserId: user?.id ?? null,
+        metadata: { email },
+      });
+      return sendResponse(res, 400, false, "Invalid or expired unlock link.");
     }
 
+    // Escalation is kept until the next successful login
+    await clearLock(user.id);
+
+    await recordAuditEvent(req, "auth.account_unlocked", {
+      actorId: user.id,
+      targetUserId: user.id,
+      metadata: { method: "email_link" },
+    });
+    await notifyUser(user.id, "Account Unlocked", "Your account was unlocked using the emailed link.", "security");
+
     return sendResponse(res, 200, true, "Account unlocked successfully.");
   } catch (err) {
     console.error("Unlock Account Error:", err);
     next(err);
   }
 };
+
+// =============================================
+// VERIFY EMAIL (one-time link emailed at signup or when a backup email is set)
+// Endpoint: POST /api/auth/verify-email
+// Body: { "email": "user@example.com", "token": "TOKEN_FROM_EMAIL" }
+// Works for both the primary and the backup address.
+// =============================================
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { email, token } = req.body;
+    if (!email || !token) return sendResponse(res, 400, false, "Email and token are required.");
+
+    const verified = await confirmEmailVerification(email, token);
+    if (!verified) {
+      await recordAuditEvent(req, "auth.email_verification_rejected", { metadata: { email } });
+      return sendResponse(res, 400, false, "Invalid or expired verification link.");
+    }
+
+    await recordAuditEvent(req, "auth.email_verified", {
+      actorId: verified.userId,
+      targetUserId: verified.userId,
+      metadata: { field: verified.field },
+    });
+    if (verified.field === "backup_email")
+      await notifyUser(verified.userId, "Backup Email Verified", `${email} can now receive password reset links.`, "security");
+
+    return sendResponse(res, 200, true, "Email verified successfully.", { field: verified.field });
+  } catch (err) {
+    console.error("Verify Email Error:", err);
+    next(err);
+  }
+};
+
+// =============================================
+// RESEND VERIFICATION LINK (throttled per address, see middleware/rateLimit.js)
+// Endpoint: POST /api/auth/resend-verification
+// Body: { "email": "user@example.com" }  (primary or backup address)
+// =============================================
+export const resendVerification = async (req, res, next) => {
+  const genericMessage = "If that address is awaiting verification, a new link was sent.";
+  try {
+    const { email } = req.body;
+    if (!email) return sendResponse(res, 400, false, "Email is required.");
+
+    // Unverified primary address first, then an unverified backup address
+    let field = "email";
+    let [rows] = await pool.query(
+      "SELECT id, email, backup_email FROM users WHERE email = ? AND email_verified_at IS NULL",
+      [email]
+    );
+    if (!rows.length) {
+      field = "backup_email";
+      [rows] = await pool.query(
+        "SELECT id, email, backup_email FROM users WHERE backup_email = ? AND backup_email_verified_at IS NULL",
+        [email]
+      );
+    }
+    if (!rows.length) return sendResponse(res, 200, true, genericMessage); // generic response
+
+    const user = rows[0];
+    await sendVerificationEmail(user, field);
+    await recordAuditEvent(req, "auth.email_verification_resent", {
+      targetUserId: user.id,
+      metadata: { field },
+    });
+
+    return sendResponse(res, 200, true, genericMessage);
+  } catch (err) {
+    console.error("Resend Verification Error:", err);
+    next(err);
+  }
+};
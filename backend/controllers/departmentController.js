@@ -0,0 +1,140 @@
+//   Admin management of departments. Departments form a hierarchy
+//   (parent_id; teams are departments under another one) and each can
+//   have a manager, who is scoped to it and everything below it.
+//   Users are assigned through the admin user update, and announcements
+//   can target a department.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { wouldCreateCycle } from "../utils/departments.js";
+
+// Validate parent / manager references. Returns an error message or null.
+const validateDepartmentLinks = async ({ parent_id, manager_id }, departmentId = null) => {
+  if (parent_id) {
+    const [parents] = await pool.query("SELECT id FROM departments WHERE id = ?", [parent_id]);
+    if (!parents.length) return "Parent department not found.";
+    if (departmentId && (await wouldCreateCycle(departmentId, parent_id)))
+      return "A department can't be moved under itself or one of its own teams.";
+  }
+  if (manager_id) {
+    const [managers] = await pool.query("SELECT id FROM users WHERE id = ?", [manager_id]);
+    if (!managers.length) return "Manager not found.";
+  }
+  return null;
+};
+
+const findDepartment = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT d.*, m.name AS manager_name, m.email AS manager_email
+     FROM departments d LEFT JOIN users m ON m.id = d.manager_id
+     WHERE d.id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// ============================================================
+// List departments with their parent, manager and direct member count
+// (flat; build the tree from parent_id)
+// ============================================================
+export const listDepartments = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT d.id, d.name, d.parent_id, d.manager_id, m.name AS manager_name, d.created_at,
+              (SELECT COUNT(*) FROM users u WHERE u.department_id = d.id) AS member_count
+       FROM departments d
+       LEFT JOIN users m ON m.id = d.manager_id
+       ORDER BY d.name`
+    );
+    return sendResponse(res, 200, true, "Departments fetched successfully.", { departments: rows });
+  } catch (err) {
+    console.error("List departments error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch departments.");
+  }
+};
+
+// ============================================================
+// Create a department or team
+// Body: { name, parent_id?, manager_id? }
+// ============================================================
+export const createDepartment = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    const { parent_id = null, manager_id = null } = req.body;
+    if (!name) return sendResponse(res, 400, false, "name is required.");
+
+    const error = await validateDepartmentLinks(req.body);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const [result] = await pool.query(
+      "INSERT INTO departments (name, parent_id, manager_id) VALUES (?, ?, ?)",
+      [name, parent_id || null, manager_id || null]
+    );
+    await recordAuditEvent(req, "admin.department.create", {
+      metadata: { departmentId: result.insertId, name, parentId: parent_id, managerId: manager_id },
+    });
+    return sendResponse(res, 201, true, "Department created successfully.", {
+      department: await findDepartment(result.insertId),
+    });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      return sendResponse(res, 409, false, "A department with this name already exists.");
+    console.error("Create department error:", err);
+    return sendResponse(res, 500, false, "Failed to create department.");
+  }
+};
+
+// ============================================================
+// Rename, move or change the manager of a department
+// Body: { name?, parent_id? (null = top level), manager_id? (null = none) }
+// ============================================================
+export const updateDepartment = async (req, res) => {
+  try {
+    const department = await findDepartment(req.params.id);
+    if (!department) return sendResponse(res, 404, false, "Department not found.");
+
+    const fields = ["name", "parent_id", "manager_id"].filter((key) => req.body[key] !== undefined);
+    if (!fields.length) return sendResponse(res, 400, false, "Nothing to update.");
+    if (fields.includes("name") && !req.body.name?.trim())
+      return sendResponse(res, 400, false, "name cannot be empty.");
+
+    const error = await validateDepartmentLinks(req.body, department.id);
+    if (error) return sendResponse(res, 400, false, error);
+
+    await pool.query(
+      `UPDATE departments SET ${fields.map((key) => `${key} = ?`).join(", ")} WHERE id = ?`,
+      [...fields.map((key) => (key === "name" ? req.body.name.trim() : req.body[key] || null)), department.id]
+    );
+
+    await recordAuditEvent(req, "admin.department.update", {
+      metadata: { departmentId: department.id, fields },
+    });
+    return sendResponse(res, 200, true, "Department updated successfully.", {
+      department: await findDepartment(department.id),
+    });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      return sendResponse(res, 409, false, "A department with this name already exists.");
+    console.error("Update department error:", err);
+    return sendResponse(res, 500, false, "Failed to update department.");
+  }
+};
+
+// ============================================================
+// Delete a department (members are left without one, its teams move
+// to the top level, and announcements targeted at it are removed)
+// ============================================================
+export const deleteDepartment = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM departments WHERE id = ?", [req.params.id]);
+    if (!result.affectedRows) return sendResponse(res, 404, false, "Department not found.");
+
+    await recordAuditEvent(req, "admin.department.delete", {
+      metadata: { departmentId: Number(req.params.id) },
+    });
+    return sendResponse(res, 200, true, "Department deleted successfully.");
+  } catch (err) {
+    console.error("Delete department error:", err);
+    return sendResponse(res, 500, false, "Failed to delete department.");
+  }
+};
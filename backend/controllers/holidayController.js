@@ -0,0 +1,180 @@
+//   Admin management of the public holiday / company closure calendar.
+//   These dates are treated as non-working days by absence detection,
+//   overtime multipliers and leave-day counting.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { toDate, formatDate } from "../utils/workingDays.js";
+import { parseIcs } from "../utils/ical.js";
+
+const HOLIDAY_TYPES = ["public_holiday", "closure"];
+
+// Validate holiday fields. Returns an error message or null.
+const validateHoliday = ({ name, start_date, end_date, type }) => {
+  if (!name) return "name is required.";
+  const start = toDate(start_date);
+  const end = toDate(end_date || start_date);
+  if (!start || !end || start > end)
+    return "Valid start_date (and optional end_date) in YYYY-MM-DD format are required.";
+  if (type && !HOLIDAY_TYPES.includes(type)) return `type must be one of: ${HOLIDAY_TYPES.join(", ")}.`;
+  return null;
+};
+
+// ============================================================
+// List holidays (optional ?year= or ?from=&to=)
+// ============================================================
+export const listHolidays = async (req, res) => {
+  try {
+    const { year, from, to } = req.query;
+
+    let sql = "SELECT * FROM holidays WHERE 1 = 1";
+    const params = [];
+    if (year) {
+      sql += " AND YEAR(start_date) <= ? AND YEAR(end_date) >= ?";
+      params.push(year, year);
+    }
+    if (from) {
+      sql += " AND end_date >= ?";
+      params.push(from);
+    }
+    if (to) {
+      sql += " AND start_date <= ?";
+      params.push(to);
+    }
+    sql += " ORDER BY start_date";
+
+    const [rows] = await pool.query(sql, params);
+    return sendResponse(res, 200, true, "Holidays fetched successfully.", { holidays: rows });
+  } catch (err) {
+    console.error("List holidays error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch holidays.");
+  }
+};
+
+// ============================================================
+// Create a holiday or closure
+// Body: { name, start_date, end_date?, type?: "public_holiday"|"closure" }
+// ============================================================
+export const createHoliday = async (req, res) => {
+  try {
+    const { name, start_date, end_date, type = "public_holiday" } = req.body;
+
+    const error = validateHoliday(req.body);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const [result] = await pool.query(
+      "INSERT INTO holidays (name, start_date, end_date, type) VALUES (?, ?, ?, ?)",
+      [name, start_date, end_date || start_date, type]
+    );
+
+    const [rows] = await pool.query("SELECT * FROM holidays WHERE id = ?", [result.insertId]);
+    await recordAuditEvent(req, "admin.holiday.create", {
+      metadata: { holidayId: result.insertId, name, start_date },
+    });
+    return sendResponse(res, 201, true, "Holiday created successfully.", { holiday: rows[0] });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      return sendResponse(res, 409, false, "This holiday already exists.");
+    console.error("Create holiday error:", err);
+    return sendResponse(res, 500, false, "Failed to create holiday.");
+  }
+};
+
+// ============================================================
+// Update a holiday (partial updates allowed)
+// ============================================================
+export const updateHoliday = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM holidays WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Holiday not found.");
+
+    const current = rows[0];
+    const merged = {
+      name: req.body.name ?? current.name,
+      start_date: req.body.start_date ?? formatDate(current.start_date),
+      end_date: req.body.end_date ?? formatDate(current.end_date),
+      type: req.body.type ?? current.type,
+    };
+
+    const error = validateHoliday(merged);
+    if (error) return sendResponse(res, 400, false, error);
+
+    // Moving the dates means the holiday should be announced again
+    const datesChanged =
+      merged.start_date !== formatDate(current.start_date) ||
+      merged.end_date !== formatDate(current.end_date);
+
+    await pool.query(
+      `UPDATE holidays SET name=?, start_date=?, end_date=?, type=?,
+       announced_at = IF(?, NULL, announced_at) WHERE id=?`,
+      [merged.name, merged.start_date, merged.end_date, merged.type, datesChanged, current.id]
+    );
+
+    const [updated] = await pool.query("SELECT * FROM holidays WHERE id = ?", [current.id]);
+    await recordAuditEvent(req, "admin.holiday.update", { metadata: { holidayId: current.id } });
+    return sendResponse(res, 200, true, "Holiday updated successfully.", { holiday: updated[0] });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      return sendResponse(res, 409, false, "This holiday already exists.");
+    console.error("Update holiday error:", err);
+    return sendResponse(res, 500, false, "Failed to update holiday.");
+  }
+};
+
+// ============================================================
+// Delete a holiday
+// ============================================================
+export const deleteHoliday = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM holidays WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Holiday not found.");
+
+    await recordAuditEvent(req, "admin.holiday.delete", { metadata: { holidayId: Number(req.params.id) } });
+
+    return sendResponse(res, 200, true, "Holiday deleted successfully.");
+  } catch (err) {
+    console.error("Delete holiday error:", err);
+    return sendResponse(res, 500, false, "Failed to delete holiday.");
+  }
+};
+
+// ============================================================
+// Bulk import from an iCal (.ics) file
+// Send the file as the raw body (Content-Type: text/calendar),
+// or as JSON: { ics: "BEGIN:VCALENDAR...", type?: "public_holiday"|"closure" }
+// Existing holidays (same name and dates) are skipped.
+// ============================================================
+export const importHolidays = async (req, res) => {
+  try {
+    const ics = typeof req.body === "string" ? req.body : req.body && req.body.ics;
+    const type = (req.query.type || (req.body && req.body.type) || "public_holiday").toString();
+
+    if (!ics || !ics.includes("BEGIN:VCALENDAR"))
+      return sendResponse(res, 400, false, "A valid iCal (.ics) file is required.");
+    if (!HOLIDAY_TYPES.includes(type))
+      return sendResponse(res, 400, false, `type must be one of: ${HOLIDAY_TYPES.join(", ")}.`);
+
+    const events = parseIcs(ics);
+    if (!events.length) return sendResponse(res, 400, false, "No events found in the calendar file.");
+
+    let imported = 0;
+    for (const event of events) {
+      const [result] = await pool.query(
+        "INSERT IGNORE INTO holidays (name, start_date, end_date, type) VALUES (?, ?, ?, ?)",
+        [event.name.slice(0, 255), event.startDate, event.endDate, type]
+      );
+      imported += result.affectedRows;
+    }
+
+    await recordAuditEvent(req, "admin.holiday.import", {
+      metadata: { type, imported, skipped: events.length - imported },
+    });
+    return sendResponse(res, 201, true, `Imported ${imported} of ${events.length} holiday(s).`, {
+      imported,
+      skipped: events.length - imported,
+    });
+  } catch (err) {
+    console.error("Import holidays error:", err);
+    return sendResponse(res, 500, false, "Failed to import holidays.");
+  }
+};
@@ -0,0 +1,153 @@
+//   Admin staff onboarding by invite: invite an email address with a
+//   pre-assigned role and department, list, resend and revoke invites.
+//   Invitees accept at POST /api/auth/accept-invite (authController.js).
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { sendInviteEmail } from "../utils/invites.js";
+import { DEFAULT_ROLE, roleExists } from "../utils/roles.js";
+import { findUngrantablePermissions } from "../utils/permissions.js";
+
+const INVITE_STATUSES = ["pending", "expired", "accepted", "revoked"];
+
+const SELECT_INVITES = `
+  SELECT i.id, i.email, i.role, i.department_id, d.name AS department, i.invited_by,
+         u.name AS invited_by_name, i.expires_at, i.last_sent_at, i.send_count,
+         i.accepted_at, i.accepted_user_id, i.revoked_at, i.created_at,
+         CASE
+           WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+           WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+           WHEN i.expires_at <= NOW() THEN 'expired'
+           ELSE 'pending'
+         END AS status
+  FROM user_invites i
+  LEFT JOIN departments d ON d.id = i.department_id
+  LEFT JOIN users u ON u.id = i.invited_by`;
+
+const findInvite = async (id) => {
+  const [rows] = await pool.query(`${SELECT_INVITES} WHERE i.id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// ============================================================
+// List invites (pending by default)
+// Query: ?status=pending|expired|accepted|revoked|all
+// ============================================================
+export const listInvites = async (req, res) => {
+  try {
+    const { status = "pending" } = req.query;
+    if (status !== "all" && !INVITE_STATUSES.includes(status))
+      return sendResponse(res, 400, false, `status must be one of: ${INVITE_STATUSES.join(", ")}, all.`);
+
+    const [rows] = await pool.query(
+      `SELECT * FROM (${SELECT_INVITES}) invites
+       ${status === "all" ? "" : "WHERE status = ?"}
+       ORDER BY created_at DESC`,
+      status === "all" ? [] : [status]
+    );
+    return sendResponse(res, 200, true, "Invites fetched successfully.", { invites: rows });
+  } catch (err) {
+    console.error("List invites error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch invites.");
+  }
+};
+
+// ============================================================
+// Invite a new staff member
+// Body: { email, role? (default staff), department_id? }
+// ============================================================
+export const createInvite = async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    const { role = DEFAULT_ROLE, department_id = null } = req.body;
+
+    if (!email) return sendResponse(res, 400, false, "email is required.");
+    if (!(await roleExists(role))) return sendResponse(res, 400, false, "Role not found.");
+    const ungrantable = await findUngrantablePermissions(role, req.permissions);
+    if (ungrantable.length)
+      return sendResponse(res, 403, false, "You can't grant a role with permissions you don't have.", {
+        permissions: ungrantable,
+      });
+    if (department_id) {
+      const [departments] = await pool.query("SELECT id FROM departments WHERE id = ?", [department_id]);
+      if (!departments.length) return sendResponse(res, 400, false, "Department not found.");
+    }
+
+    const [existing] = await pool.query("SELECT id FROM users WHERE email = ?", [email]);
+    if (existing.length) return sendResponse(res, 409, false, "A user with this email already exists.");
+
+    const [pending] = await pool.query(
+      `SELECT id FROM user_invites
+       WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [email]
+    );
+    if (pending.length)
+      return sendResponse(res, 409, false, "This email already has a pending invite. Resend it instead.", {
+        inviteId: pending[0].id,
+      });
+
+    const [result] = await pool.query(
+      `INSERT INTO user_invites (email, role, department_id, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [email, role, department_id || null, req.user.id]
+    );
+    await sendInviteEmail({ id: result.insertId, email });
+
+    await recordAuditEvent(req, "admin.invite.create", {
+      metadata: { inviteId: result.insertId, email, role, departmentId: department_id || null },
+    });
+    return sendResponse(res, 201, true, `Invite sent to ${email}.`, {
+      invite: await findInvite(result.insertId),
+    });
+  } catch (err) {
+    console.error("Create invite error:", err);
+    return sendResponse(res, 500, false, "Failed to send invite.");
+  }
+};
+
+// ============================================================
+// Resend an invite with a fresh link (also renews an expired one)
+// ============================================================
+export const resendInvite = async (req, res) => {
+  try {
+    const invite = await findInvite(req.params.id);
+    if (!invite) return sendResponse(res, 404, false, "Invite not found.");
+    if (invite.status === "accepted" || invite.status === "revoked")
+      return sendResponse(res, 400, false, `This invite was already ${invite.status}.`);
+
+    await sendInviteEmail(invite);
+    await recordAuditEvent(req, "admin.invite.resend", {
+      metadata: { inviteId: invite.id, email: invite.email },
+    });
+    return sendResponse(res, 200, true, `Invite resent to ${invite.email}.`, {
+      invite: await findInvite(invite.id),
+    });
+  } catch (err) {
+    console.error("Resend invite error:", err);
+    return sendResponse(res, 500, false, "Failed to resend invite.");
+  }
+};
+
+// ============================================================
+// Revoke an invite (its link stops working)
+// ============================================================
+export const revokeInvite = async (req, res) => {
+  try {
+    const invite = await findInvite(req.params.id);
+    if (!invite) return sendResponse(res, 404, false, "Invite not found.");
+    if (invite.status === "accepted")
+      return sendResponse(res, 400, false, "This invite was already accepted.");
+    if (invite.status === "revoked") return sendResponse(res, 200, true, "Invite is already revoked.");
+
+    await pool.query("UPDATE user_invites SET revoked_at = NOW(), token_hash = NULL WHERE id = ?", [
+      invite.id,
+    ]);
+    await recordAuditEvent(req, "admin.invite.revoke", {
+      metadata: { inviteId: invite.id, email: invite.email },
+    });
+    return sendResponse(res, 200, true, "Invite revoked.");
+  } catch (err) {
+    console.error("Revoke invite error:", err);
+    return sendResponse(res, 500, false, "Failed to revoke invite.");
+  }
+};
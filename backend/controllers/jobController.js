@@ -0,0 +1,200 @@
+//   Admin management of scheduled jobs (reminders, weekly summaries,
+//   announcements, holiday notices) and their run history.
+//   Jobs are executed by utils/scheduler.js.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { JOB_TYPES } from "../utils/jobs.js";
+import { validateAnnouncement } from "../utils/announcements.js";
+
+const parsePayload = (payload) => (typeof payload === "string" ? JSON.parse(payload) : payload);
+
+const formatJob = (job) => ({ ...job, enabled: Boolean(job.enabled), payload: parsePayload(job.payload) });
+
+// Validate job fields. Returns an error message or null.
+const validateJob = ({ name, type, next_run_at, interval_minutes, payload }) => {
+  if (!name) return "name is required.";
+  if (!JOB_TYPES.includes(type)) return `type must be one of: ${JOB_TYPES.join(", ")}.`;
+  if (Number.isNaN(new Date(next_run_at).getTime())) return "next_run_at must be a valid date.";
+  if (interval_minutes !== null && !(Number.isInteger(interval_minutes) && interval_minutes > 0))
+    return "interval_minutes must be a positive whole number (or null for a one-off job).";
+  if (payload !== null && (typeof payload !== "object" || Array.isArray(payload)))
+    return "payload must be an object.";
+  if (type === "announcement") {
+    const error = validateAnnouncement({ target: { type: "all" }, ...payload });
+    if (error) return `Invalid announcement payload: ${error}`;
+  }
+  return null;
+};
+
+const findJob = async (id) => {
+  const [rows] = await pool.query("SELECT * FROM scheduled_jobs WHERE id = ?", [id]);
+  return rows[0] ? formatJob(rows[0]) : null;
+};
+
+// ============================================================
+// Admin: list jobs with their latest run
+// ============================================================
+export const listJobs = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT j.*, r.status AS last_run_status, r.result AS last_run_result
+       FROM scheduled_jobs j
+       LEFT JOIN job_runs r ON r.id = (SELECT MAX(id) FROM job_runs WHERE job_id = j.id)
+       ORDER BY j.next_run_at`
+    );
+    return sendResponse(res, 200, true, "Jobs fetched successfully.", {
+      jobs: rows.map(formatJob),
+      types: JOB_TYPES,
+    });
+  } catch (err) {
+    console.error("List jobs error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch jobs.");
+  }
+};
+
+// ============================================================
+// Admin: create a job
+// Body: { name, type, next_run_at?, interval_minutes?, payload?, enabled? }
+// e.g. a one-off announcement:
+//   { name, type: "announcement", next_run_at, payload: { title, message, target?, priority? } }
+// ============================================================
+export const createJob = async (req, res) => {
+  try {
+    const job = {
+      name: req.body.name,
+      type: req.body.type,
+      next_run_at: req.body.next_run_at ? new Date(req.body.next_run_at) : new Date(),
+      interval_minutes: req.body.interval_minutes ?? null,
+      payload: req.body.payload ?? null,
+      enabled: req.body.enabled !== false,
+    };
+
+    const error = validateJob(job);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const [result] = await pool.query(
+      `INSERT INTO scheduled_jobs (name, type, next_run_at, interval_minutes, payload, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        job.name,
+        job.type,
+        job.next_run_at,
+        job.interval_minutes,
+        job.payload ? JSON.stringify(job.payload) : null,
+        job.enabled,
+        req.user.id,
+      ]
+    );
+
+    await recordAuditEvent(req, "admin.job.create", {
+      metadata: { jobId: result.insertId, name: job.name, type: job.type },
+    });
+    return sendResponse(res, 201, true, "Job created successfully.", {
+      job: await findJob(result.insertId),
+    });
+  } catch (err) {
+    console.error("Create job error:", err);
+    return sendResponse(res, 500, false, "Failed to create job.");
+  }
+};
+
+// ============================================================
+// Admin: update a job (partial updates allowed)
+// ============================================================
+export const updateJob = async (req, res) => {
+  try {
+    const existing = await findJob(req.params.id);
+    if (!existing) return sendResponse(res, 404, false, "Job not found.");
+
+    const job = { ...existing };
+    for (const key of ["name", "type", "next_run_at", "interval_minutes", "payload", "enabled"]) {
+      if (req.body[key] !== undefined) job[key] = req.body[key];
+    }
+    job.next_run_at = new Date(job.next_run_at);
+    job.enabled = Boolean(job.enabled);
+
+    const error = validateJob(job);
+    if (error) return sendResponse(res, 400, false, error);
+
+    // run_count is bumped so an in-flight claim of the old schedule can't succeed
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET name = ?, type = ?, next_run_at = ?, interval_minutes = ?, payload = ?, enabled = ?,
+           run_count = run_count + 1
+       WHERE id = ?`,
+      [
+        job.name,
+        job.type,
+        job.next_run_at,
+        job.interval_minutes,
+        job.payload ? JSON.stringify(job.payload) : null,
+        job.enabled,
+        job.id,
+      ]
+    );
+
+    await recordAuditEvent(req, "admin.job.update", { metadata: { jobId: job.id, enabled: job.enabled } });
+    return sendResponse(res, 200, true, "Job updated successfully.", { job: await findJob(job.id) });
+  } catch (err) {
+    console.error("Update job error:", err);
+    return sendResponse(res, 500, false, "Failed to update job.");
+  }
+};
+
+// ============================================================
+// Admin: delete a job (its run history goes with it)
+// ============================================================
+export const deleteJob = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM scheduled_jobs WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Job not found.");
+
+    await recordAuditEvent(req, "admin.job.delete", { metadata: { jobId: Number(req.params.id) } });
+    return sendResponse(res, 200, true, "Job deleted successfully.");
+  } catch (err) {
+    console.error("Delete job error:", err);
+    return sendResponse(res, 500, false, "Failed to delete job.");
+  }
+};
+
+// ============================================================
+// Admin: run a job on the next scheduler tick
+// (goes through the scheduler so the usual locking applies)
+// ============================================================
+export const runJobNow = async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE scheduled_jobs SET next_run_at = NOW(), enabled = TRUE WHERE id = ?",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Job not found.");
+
+    await recordAuditEvent(req, "admin.job.run", { metadata: { jobId: Number(req.params.id) } });
+    return sendResponse(res, 202, true, "Job queued to run.");
+  } catch (err) {
+    console.error("Run job error:", err);
+    return sendResponse(res, 500, false, "Failed to queue job.");
+  }
+};
+
+// ============================================================
+// Admin: run history of a job (?limit=, default 50)
+// ============================================================
+export const listJobRuns = async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const job = await findJob(req.params.id);
+    if (!job) return sendResponse(res, 404, false, "Job not found.");
+
+    const [runs] = await pool.query(
+      "SELECT * FROM job_runs WHERE job_id = ? ORDER BY id DESC LIMIT ?",
+      [job.id, limit]
+    );
+    return sendResponse(res, 200, true, "Job runs fetched successfully.", { job, runs });
+  } catch (err) {
+    console.error("List job runs error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch job runs.");
+  }
+};
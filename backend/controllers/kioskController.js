@@ -0,0 +1,37 @@
+//   Issues rotating kiosk QR tokens for the reception tablet.
+//   Staff redeem them through POST /api/attendance/kiosk.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { generateKioskToken, KIOSK_TOKEN_TTL_SECONDS } from "../utils/kioskToken.js";
+
+// ============================================================
+// Issue a new kiosk token (called by the kiosk every 30s)
+// Optional query: ?siteId= (office site the kiosk stands at)
+// ============================================================
+export const issueKioskToken = async (req, res) => {
+  try {
+    const siteId = req.query.siteId ? Number(req.query.siteId) : null;
+
+    if (siteId) {
+      const [sites] = await pool.query(
+        "SELECT id FROM office_sites WHERE id = ? AND is_active = TRUE",
+        [siteId]
+      );
+      if (!sites.length) return sendResponse(res, 404, false, "Office site not found.");
+    }
+
+    // Redemptions are only needed until their token expires
+    await pool.query("DELETE FROM kiosk_token_redemptions WHERE expires_at < NOW()");
+
+    const { token, expiresAt } = generateKioskToken(siteId);
+
+    return sendResponse(res, 200, true, "Kiosk token issued.", {
+      token,
+      expiresIn: KIOSK_TOKEN_TTL_SECONDS,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("Issue kiosk token error:", err);
+    return sendResponse(res, 500, false, "Failed to issue kiosk token.");
+  }
+};
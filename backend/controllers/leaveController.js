@@ -0,0 +1,307 @@
+//   Leave requests (annual / sick / unpaid) and admin / manager approval.
+//   Balances are tracked per user, per leave type, per year.
+//   Every status change notifies the user (in-app and email by default).
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { notifyUser, notifyAdmins, notifyManagers } from "../utils/notifyUser.js";
+import { scopeCondition, isInScope } from "../utils/departments.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { countWorkingDays, toDate, formatDate } from "../utils/workingDays.js";
+import { getHolidayDates } from "../utils/holidays.js";
+import {
+  LEAVE_TYPES,
+  getLeaveBalance,
+  getPendingDays,
+} from "../utils/leaveBalance.js";
+
+// Notify a user about their leave request (channels follow their "leave" preferences)
+const notifyLeaveUpdate = (userId, title, message) => notifyUser(userId, title, message, "leave");
+
+const describeRequest = (request) =>
+  `${request.leave_type} leave from ${formatDate(request.start_date)} to ${formatDate(request.end_date)} (${Number(request.days)} day(s))`;
+
+// ============================================================
+// Staff: request leave
+// Body: { leaveType: "annual"|"sick"|"unpaid", startDate, endDate, reason? }
+// ============================================================
+export const requestLeave = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { leaveType, startDate, endDate, reason } = req.body;
+
+    if (!LEAVE_TYPES.includes(leaveType))
+      return sendResponse(res, 400, false, `leaveType must be one of: ${LEAVE_TYPES.join(", ")}.`);
+
+    const start = toDate(startDate);
+    const end = toDate(endDate);
+    if (!start || !end || start > end)
+      return sendResponse(res, 400, false, "Valid startDate and endDate (YYYY-MM-DD) are required.");
+    if (start.getFullYear() !== end.getFullYear())
+      return sendResponse(res, 400, false, "A leave request cannot span two calendar years.");
+
+    // Weekends, public holidays and company closures don't use up leave
+    const days = countWorkingDays(start, end, await getHolidayDates(start, end));
+    if (days === 0)
+      return sendResponse(res, 400, false, "The selected dates contain no working days.");
+
+    // Refuse overlapping pending/approved requests
+    const [overlap] = await pool.query(
+      `SELECT id FROM leave_requests
+       WHERE user_id = ? AND status IN ('pending', 'approved')
+       AND start_date <= ? AND end_date >= ?`,
+      [userId, formatDate(end), formatDate(start)]
+    );
+    if (overlap.length)
+      return sendResponse(res, 409, false, "You already have leave booked for some of these dates.");
+
+    // Refuse requests that would overdraw the balance (pending requests count as booked)
+    const year = start.getFullYear();
+    const balance = await getLeaveBalance(userId, leaveType, year);
+    if (balance) {
+      const pending = await getPendingDays(userId, leaveType, year);
+      const available = Number(balance.allowance_days) - Number(balance.used_days) - pending;
+      if (days > available)
+        return sendResponse(
+          res,
+          400,
+          false,
+          `Insufficient ${leaveType} leave balance. Requested ${days} day(s), ${available} available.`
+        );
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO leave_requests (user_id, leave_type, start_date, end_date, days, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, leaveType, formatDate(start), formatDate(end), days, reason || null]
+    );
+
+    const [rows] = await pool.query("SELECT * FROM leave_requests WHERE id = ?", [result.insertId]);
+    const request = rows[0];
+
+    await notifyLeaveUpdate(userId, "Leave Requested", `Your request for ${describeRequest(request)} is pending approval.`);
+    const summary = `${req.user.email || `User ${userId}`} requested ${describeRequest(request)}.`;
+    await notifyAdmins("New Leave Request", summary, "leave");
+    await notifyManagers(userId, "leave.approve.team", "New Leave Request", summary, "leave");
+
+    return sendResponse(res, 201, true, "Leave request submitted.", { request });
+  } catch (err) {
+    console.error("Request leave error:", err);
+    return sendResponse(res, 500, false, "Failed to submit leave request.");
+  }
+};
+
+// ============================================================
+// Staff: list own leave requests
+// ============================================================
+export const getMyLeave = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      "SELECT * FROM leave_requests WHERE user_id = ? ORDER BY start_date DESC",
+      [req.user.id]
+    );
+    return sendResponse(res, 200, true, "Leave requests fetched successfully.", { requests: rows });
+  } catch (err) {
+    console.error("Fetch leave error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch leave requests.");
+  }
+};
+
+// ============================================================
+// Staff: view own balances (optional ?year=)
+// ============================================================
+export const getMyBalances = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const year = Number(req.query.year) || new Date().getFullYear();
+
+    const balances = [];
+    for (const leaveType of LEAVE_TYPES) {
+      const balance = await getLeaveBalance(userId, leaveType, year);
+      if (!balance) continue;
+      const pending = await getPendingDays(userId, leaveType, year);
+      balances.push({
+        leave_type: leaveType,
+        allowance_days: Number(balance.allowance_days),
+        used_days: Number(balance.used_days),
+        pending_days: pending,
+        available_days: Number(balance.allowance_days) - Number(balance.used_days) - pending,
+      });
+    }
+
+    return sendResponse(res, 200, true, "Leave balances fetched successfully.", { year, balances });
+  } catch (err) {
+    console.error("Fetch leave balances error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch leave balances.");
+  }
+};
+
+// ============================================================
+// Staff: cancel own pending request
+// ============================================================
+export const cancelLeave = async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      "UPDATE leave_requests SET status = 'cancelled' WHERE id = ? AND user_id = ? AND status = 'pending'",
+      [req.params.id, req.user.id]
+    );
+    if (result.affectedRows === 0)
+      return sendResponse(res, 404, false, "Pending leave request not found.");
+
+    return sendResponse(res, 200, true, "Leave request cancelled.");
+  } catch (err) {
+    console.error("Cancel leave error:", err);
+    return sendResponse(res, 500, false, "Failed to cancel leave request.");
+  }
+};
+
+// ============================================================
+// Admin / manager: list leave requests (optional ?status=&userId=)
+// Managers only see requests from their own teams.
+// ============================================================
+export const listLeaveRequests = async (req, res) => {
+  try {
+    const { status, userId } = req.query;
+
+    let sql = `
+      SELECT l.*, u.name AS user_name, u.email AS user_email
+      FROM leave_requests l
+      JOIN users u ON u.id = l.user_id
+      WHERE 1 = 1`;
+    const scope = scopeCondition(req.scope, "u.department_id");
+    sql += scope.sql;
+    const params = [...scope.params];
+    if (status) {
+      sql += " AND l.status = ?";
+      params.push(status);
+    }
+    if (userId) {
+      sql += " AND l.user_id = ?";
+      params.push(userId);
+    }
+    sql += " ORDER BY l.created_at DESC";
+
+    const [rows] = await pool.query(sql, params);
+    return sendResponse(res, 200, true, "Leave requests fetched successfully.", { requests: rows });
+  } catch (err) {
+    console.error("List leave requests error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch leave requests.");
+  }
+};
+
+// ============================================================
+// Admin / manager: approve or reject a pending request
+// Managers can only review their own teams, and never their own requests.
+// Body: { comment? }
+// ============================================================
+const reviewLeave = (decision) => async (req, res) => {
+  try {
+    const { comment } = req.body || {};
+
+    const [rows] = await pool.query("SELECT * FROM leave_requests WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Leave request not found.");
+
+    const request = rows[0];
+    if (!(await isInScope(req.scope, request.user_id)))
+      return sendResponse(res, 404, false, "Leave request not found.");
+    if (!req.scope.all && request.user_id === req.user.id)
+      return sendResponse(res, 403, false, "You cannot review your own leave request.");
+    if (request.status !== "pending")
+      return sendResponse(res, 409, false, `Leave request is already ${request.status}.`);
+
+    // Get (or create) the balance row before the transaction starts
+    const balance =
+      decision === "approved"
+        ? await getLeaveBalance(request.user_id, request.leave_type, new Date(request.start_date).getFullYear())
+        : null;
+
+    // Claim the request and book its days together, so two concurrent
+    // reviews can't both succeed and count the days twice
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [claimed] = await conn.query(
+        `UPDATE leave_requests
+         SET status = ?, reviewed_by = ?, review_comment = ?, reviewed_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [decision, req.user.id, comment || null, request.id]
+      );
+      if (claimed.affectedRows === 0) {
+        await conn.rollback();
+        return sendResponse(res, 409, false, "Leave request was already reviewed.");
+      }
+
+      if (balance) {
+        const [updated] = await conn.query(
+          `UPDATE leave_balances SET used_days = used_days + ?
+           WHERE id = ? AND used_days + ? <= allowance_days`,
+          [request.days, balance.id, request.days]
+        );
+        if (updated.affectedRows === 0) {
+          await conn.rollback();
+          return sendResponse(res, 400, false, "Approving this request would overdraw the leave balance.");
+        }
+      }
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+
+    await recordAuditEvent(req, `admin.leave.${decision === "approved" ? "approve" : "reject"}`, {
+      targetUserId: request.user_id,
+      metadata: { requestId: request.id, comment: comment || null },
+    });
+
+    const title = decision === "approved" ? "Leave Approved" : "Leave Rejected";
+    await notifyLeaveUpdate(
+      request.user_id,
+      title,
+      `Your request for ${describeRequest(request)} was ${decision}.${comment ? ` Comment: ${comment}` : ""}`
+    );
+
+    return sendResponse(res, 200, true, `Leave request ${decision}.`);
+  } catch (err) {
+    console.error("Review leave error:", err);
+    return sendResponse(res, 500, false, "Failed to update leave request.");
+  }
+};
+
+export const approveLeave = reviewLeave("approved");
+export const rejectLeave = reviewLeave("rejected");
+
+// ============================================================
+// Admin: set a user's allowance for a leave type and year
+// Body: { userId, leaveType, year, allowanceDays }
+// ============================================================
+export const setLeaveAllowance = async (req, res) => {
+  try {
+    const { userId, leaveType, year, allowanceDays } = req.body;
+
+    if (!userId || !year || allowanceDays === undefined)
+      return sendResponse(res, 400, false, "userId, leaveType, year and allowanceDays are required.");
+    if (!LEAVE_TYPES.includes(leaveType) || leaveType === "unpaid")
+      return sendResponse(res, 400, false, "leaveType must be annual or sick.");
+    if (!(Number(allowanceDays) >= 0))
+      return sendResponse(res, 400, false, "allowanceDays must be zero or more.");
+
+    const [userRows] = await pool.query("SELECT id FROM users WHERE id = ?", [userId]);
+    if (!userRows.length) return sendResponse(res, 404, false, "User not found.");
+
+    const balance = await getLeaveBalance(userId, leaveType, Number(year));
+    await pool.query("UPDATE leave_balances SET allowance_days = ? WHERE id = ?", [
+      Number(allowanceDays),
+      balance.id,
+    ]);
+    await recordAuditEvent(req, "admin.leave.set_allowance", {
+      targetUserId: Number(userId),
+      metadata: { leaveType, year: Number(year), from: Number(balance.allowance_days), to: Number(allowanceDays) },
+    });
+
+    return sendResponse(res, 200, true, "Leave allowance updated.");
+  } catch (err) {
+    console.error("Set leave allowance error:", err);
+    return sendResponse(res, 500, false, "Failed to update leave allowance.");
+  }
+};
@@ -1,29 +1,86 @@
 import pool from "../config/db.js";
 import { sendResponse } from "../utils/responseHandler.js";
+import { authenticateAccessToken } from "../utils/authTokens.js";
+import { addClient, sendEvent } from "../utils/notificationStream.js";
+import { VISIBLE_NOTIFICATIONS, PRIORITY_ORDER } from "../utils/announcements.js";
+
+// Comment line sent to keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = Number(process.env.SSE_HEARTBEAT_MS) || 25000;
+// Max notifications replayed to a reconnecting client
+const RESUME_LIMIT = 100;
+
+// Read/delete state lives per user in notification_user_state, so a shared
+// announcement row can be read or deleted by one user without affecting others
+const NOTIFICATION_COLUMNS = `
+  n.id, n.title, n.message, n.created_at, n.user_id IS NULL AS is_broadcast,
+  n.priority, n.pinned, n.expires_at, s.read_at IS NOT NULL AS is_read, s.read_at`;
+
+const formatNotification = (n) => ({
+  ...n,
+  is_broadcast: Boolean(n.is_broadcast),
+  pinned: Boolean(n.pinned),
+  is_read: Boolean(n.is_read),
+});
+
+// Check a notification exists and is visible to the user
+const findVisibleNotification = async (userId, notificationId) => {
+  const [rows] = await pool.query(`SELECT n.id ${VISIBLE_NOTIFICATIONS} AND n.id = ?`, [
+    userId,
+    notificationId,
+  ]);
+  return rows[0] || null;
+};
 
 // ============================================================
-// Fetch notifications for the logged-in user
+// Fetch notifications for the logged-in user (cursor pagination)
+// Query: ?limit=20&cursor=<last id from previous page>&unreadOnly=true
+// The first page also returns pinned announcements (highest priority
+// first); they are left out of the paginated list.
 // ============================================================
 export const getNotifications = async (req, res) => {
   try {
     const userId = req.user.id;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const cursor = parseInt(req.query.cursor, 10);
+    const unreadOnly = req.query.unreadOnly === "true";
+    const unreadFilter = unreadOnly ? " AND s.read_at IS NULL" : "";
 
-    // Fetch both personal (user_id match) and broadcast notifications
-    const [rows] = await pool.query(
-      `
-      SELECT id, title, message, created_at, is_broadcast
-      FROM notifications
-      WHERE user_id = ? OR is_broadcast = TRUE
-      ORDER BY created_at DESC
-      `,
-      [userId]
-    );
+    let pinned = [];
+    if (!cursor) {
+      const [pinnedRows] = await pool.query(
+        `SELECT ${NOTIFICATION_COLUMNS} ${VISIBLE_NOTIFICATIONS}
+         AND n.pinned = TRUE${unreadFilter}
+         ORDER BY ${PRIORITY_ORDER}, n.id DESC`,
+        [userId]
+      );
+      pinned = pinnedRows.map(formatNotification);
+    }
+
+    let sql = `SELECT ${NOTIFICATION_COLUMNS} ${VISIBLE_NOTIFICATIONS} AND n.pinned = FALSE${unreadFilter}`;
+    const params = [userId];
+    if (cursor) {
+      sql += " AND n.id < ?";
+      params.push(cursor);
+    }
+    // Fetch one extra row to know whether there is another page
+    sql += " ORDER BY n.id DESC LIMIT ?";
+    params.push(limit + 1);
+
+    const [rows] = await pool.query(sql, params);
+    const notifications = rows.slice(0, limit).map(formatNotification);
+    const nextCursor = rows.length > limit ? notifications[notifications.length - 1].id : null;
 
-    if (rows.length === 0)
-      return sendResponse(res, 200, true, "No notifications yet.", { notifications: [] });
+    if (notifications.length === 0 && pinned.length === 0)
+      return sendResponse(res, 200, true, "No notifications yet.", {
+        pinned: [],
+        notifications: [],
+        nextCursor: null,
+      });
 
     return sendResponse(res, 200, true, "Notifications fetched successfully.", {
-      notifications: rows,
+      pinned,
+      notifications,
+      nextCursor,
     });
   } catch (err) {
     console.error("Fetch notifications error:", err);
@@ -32,47 +89,157 @@ export const getNotifications = async (req, res) => {
 };
 
 // ============================================================
-// Admin: Send notification to all users (broadcast)
+// Real-time notification stream (Server-Sent Events)
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) and get
+// every notification newer than it replayed before live events.
+// ============================================================
+export const streamNotifications = async (req, res) => {
+  const userId = req.user.id;
+  const token = req.headers.authorization.split(" ")[1];
+  const lastEventId = parseInt(req.headers["last-event-id"] || req.query.lastEventId, 10);
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // Live events are queued while missed ones are replayed
+  const client = addClient(userId, res);
+  // Heartbeat; also re-checks the token so logout, revocation and expiry end the stream.
+  // Started before any await so the close handler below always clears it.
+  const heartbeat = setInterval(async () => {
+    try {
+      const auth = await authenticateAccessToken(token);
+      if (!auth) {
+        res.write("event: unauthorized\ndata: {}\n\n");
+        return res.end();
+      }
+      res.write(": ping\n\n");
+    } catch (err) {
+      console.error("Notification stream heartbeat error:", err.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    client.remove();
+  });
+
+  let lastSentId = lastEventId || 0;
+
+  try {
+    if (lastEventId) {
+      const [missed] = await pool.query(
+        `SELECT n.user_id, ${NOTIFICATION_COLUMNS} ${VISIBLE_NOTIFICATIONS}
+         AND n.id > ?
+         ORDER BY n.id
+         LIMIT ?`,
+        [userId, lastEventId, RESUME_LIMIT]
+      );
+      for (const n of missed) {
+        sendEvent(res, formatNotification(n));
+        lastSentId = n.id;
+      }
+    }
+  } catch (err) {
+    console.error("Notification stream resume error:", err);
+  }
+  client.ready(lastSentId);
+};
+
+// ============================================================
+// Count unread notifications for the logged-in user
+// ============================================================
+export const getUnreadCount = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS unread ${VISIBLE_NOTIFICATIONS} AND s.read_at IS NULL`,
+      [userId]
+    );
+
+    return sendResponse(res, 200, true, "Unread count fetched successfully.", {
+      unread: rows[0].unread,
+    });
+  } catch (err) {
+    console.error("Unread count error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch unread count.");
+  }
+};
+
+// ============================================================
+// Mark one notification as read (or unread with { "read": false })
 // ============================================================
-export const sendBroadcastNotification = async (req, res) => {
+export const markNotificationRead = async (req, res) => {
   try {
-    const { title, message } = req.body;
+    const userId = req.user.id;
+    const read = req.body?.read !== false;
 
-    if (!title || !message)
-      return sendResponse(res, 400, false, "Title and message are required.");
+    const notification = await findVisibleNotification(userId, req.params.id);
+    if (!notification) return sendResponse(res, 404, false, "Notification not found.");
 
-    // Insert a single broadcast notification (visible to everyone)
     await pool.query(
-      "INSERT INTO notifications (user_id, title, message, is_broadcast) VALUES (?, ?, ?, TRUE)",
-      [0, title, message] // user_id = 0 just to keep structure
+      `INSERT INTO notification_user_state (notification_id, user_id, read_at)
+       VALUES (?, ?, IF(?, NOW(), NULL))
+       ON DUPLICATE KEY UPDATE read_at = IF(?, COALESCE(read_at, NOW()), NULL)`,
+      [notification.id, userId, read, read]
     );
 
-    return sendResponse(res, 201, true, "Broadcast notification sent to all users.");
+    return sendResponse(res, 200, true, `Notification marked as ${read ? "read" : "unread"}.`);
   } catch (err) {
-    console.error("Broadcast notification error:", err);
-    return sendResponse(res, 500, false, "Failed to send broadcast notification.");
+    console.error("Mark notification read error:", err);
+    return sendResponse(res, 500, false, "Failed to update notification.");
   }
 };
 
 // ============================================================
-// Admin: Send personal notification to a specific user
+// Mark every visible notification as read
 // ============================================================
-export const sendPersonalNotification = async (req, res) => {
+export const markAllNotificationsRead = async (req, res) => {
   try {
-    const { userId, title, message } = req.body;
+    const userId = req.user.id;
+
+    const [result] = await pool.query(
+      `INSERT INTO notification_user_state (notification_id, user_id, read_at)
+       SELECT n.id, me.id, NOW() ${VISIBLE_NOTIFICATIONS} AND s.read_at IS NULL
+       ON DUPLICATE KEY UPDATE read_at = NOW()`,
+      [userId]
+    );
+
+    return sendResponse(res, 200, true, "All notifications marked as read.", {
+      updated: result.affectedRows,
+    });
+  } catch (err) {
+    console.error("Mark all read error:", err);
+    return sendResponse(res, 500, false, "Failed to mark notifications as read.");
+  }
+};
+
+// ============================================================
+// Delete a notification for the logged-in user only
+// (announcements stay visible to everyone else)
+// ============================================================
+export const deleteNotification = async (req, res) => {
+  try {
+    const userId = req.user.id;
 
-    if (!userId || !title || !message)
-      return sendResponse(res, 400, false, "userId, title, and message are required.");
+    const notification = await findVisibleNotification(userId, req.params.id);
+    if (!notification) return sendResponse(res, 404, false, "Notification not found.");
 
-    // Insert personal message for one specific user
     await pool.query(
-      "INSERT INTO notifications (user_id, title, message, is_broadcast) VALUES (?, ?, ?, FALSE)",
-      [userId, title, message]
+      `INSERT INTO notification_user_state (notification_id, user_id, deleted_at)
+       VALUES (?, ?, NOW())
+       ON DUPLICATE KEY UPDATE deleted_at = NOW()`,
+      [notification.id, userId]
     );
 
-    return sendResponse(res, 201, true, `Notification sent to user ID ${userId}.`);
+    return sendResponse(res, 200, true, "Notification deleted.");
   } catch (err) {
-    console.error("Personal notification error:", err);
-    return sendResponse(res, 500, false, "Failed to send personal notification.");
+    console.error("Delete notification error:", err);
+    return sendResponse(res, 500, false, "Failed to delete notification.");
   }
 };
@@ -0,0 +1,297 @@
+//   Overtime rule sets (thresholds and multipliers), their assignment
+//   to users, computed overtime for a date range and admin resolution
+//   of overtime above the approval cap.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { notifyUser } from "../utils/notifyUser.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { toDate, formatDate } from "../utils/workingDays.js";
+import { computeOvertime } from "../utils/overtime.js";
+
+const RULE_FIELDS = [
+  "name",
+  "daily_threshold_hours",
+  "weekly_threshold_hours",
+  "overtime_multiplier",
+  "weekend_multiplier",
+  "holiday_multiplier",
+  "approval_cap_hours",
+  "is_default",
+];
+
+// Validate rule fields. Returns an error message or null.
+const validateRule = (rule) => {
+  if (!rule.name) return "name is required.";
+  if (!(Number(rule.daily_threshold_hours) > 0 && Number(rule.daily_threshold_hours) <= 24))
+    return "daily_threshold_hours must be between 0 and 24.";
+  for (const key of ["weekly_threshold_hours", "approval_cap_hours"]) {
+    if (rule[key] !== null && rule[key] !== undefined && !(Number(rule[key]) >= 0))
+      return `${key} must be zero or more (or null to disable).`;
+  }
+  for (const key of ["overtime_multiplier", "weekend_multiplier", "holiday_multiplier"]) {
+    if (!(Number(rule[key]) >= 1)) return `${key} must be 1 or more.`;
+  }
+  return null;
+};
+
+// Normalise nullable numeric fields ("" / undefined -> null)
+const nullableNumber = (value) =>
+  value === null || value === undefined || value === "" ? null : Number(value);
+
+// Validate ?from=&to= and return normalised "YYYY-MM-DD" strings (or null)
+const parseRange = ({ from, to }) => {
+  const start = toDate(from);
+  const end = toDate(to);
+  if (!start || !end || start > end) return null;
+  return { from: formatDate(start), to: formatDate(end) };
+};
+
+// ============================================================
+// Admin: list overtime rule sets
+// ============================================================
+export const listRules = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT r.*, COUNT(u.id) AS assigned_users
+       FROM overtime_rules r
+       LEFT JOIN users u ON u.overtime_rule_id = r.id
+       GROUP BY r.id
+       ORDER BY r.name`
+    );
+    return sendResponse(res, 200, true, "Overtime rules fetched successfully.", { rules: rows });
+  } catch (err) {
+    console.error("List overtime rules error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch overtime rules.");
+  }
+};
+
+// ============================================================
+// Admin: create a rule set
+// Body: { name, daily_threshold_hours, weekly_threshold_hours?, overtime_multiplier,
+//         weekend_multiplier, holiday_multiplier, approval_cap_hours?, is_default? }
+// ============================================================
+export const createRule = async (req, res) => {
+  try {
+    const rule = {
+      name: req.body.name,
+      daily_threshold_hours: req.body.daily_threshold_hours ?? 8,
+      weekly_threshold_hours: nullableNumber(req.body.weekly_threshold_hours),
+      overtime_multiplier: req.body.overtime_multiplier ?? 1.5,
+      weekend_multiplier: req.body.weekend_multiplier ?? 1.5,
+      holiday_multiplier: req.body.holiday_multiplier ?? 2,
+      approval_cap_hours: nullableNumber(req.body.approval_cap_hours),
+      is_default: Boolean(req.body.is_default),
+    };
+
+    const error = validateRule(rule);
+    if (error) return sendResponse(res, 400, false, error);
+
+    // Only one rule can be the default
+    if (rule.is_default) await pool.query("UPDATE overtime_rules SET is_default = FALSE");
+
+    const [result] = await pool.query(
+      `INSERT INTO overtime_rules (${RULE_FIELDS.join(", ")}) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      RULE_FIELDS.map((key) => rule[key])
+    );
+
+    const [rows] = await pool.query("SELECT * FROM overtime_rules WHERE id = ?", [result.insertId]);
+    await recordAuditEvent(req, "admin.overtime_rule.create", { metadata: { ruleId: result.insertId, rule } });
+    return sendResponse(res, 201, true, "Overtime rule created successfully.", { rule: rows[0] });
+  } catch (err) {
+    console.error("Create overtime rule error:", err);
+    return sendResponse(res, 500, false, "Failed to create overtime rule.");
+  }
+};
+
+// ============================================================
+// Admin: update a rule set (partial updates allowed)
+// ============================================================
+export const updateRule = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM overtime_rules WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Overtime rule not found.");
+
+    const rule = { ...rows[0] };
+    for (const key of RULE_FIELDS) {
+      if (req.body[key] !== undefined) rule[key] = req.body[key];
+    }
+    rule.weekly_threshold_hours = nullableNumber(rule.weekly_threshold_hours);
+    rule.approval_cap_hours = nullableNumber(rule.approval_cap_hours);
+    rule.is_default = Boolean(rule.is_default);
+
+    const error = validateRule(rule);
+    if (error) return sendResponse(res, 400, false, error);
+
+    if (rule.is_default)
+      await pool.query("UPDATE overtime_rules SET is_default = FALSE WHERE id <> ?", [rule.id]);
+
+    await pool.query(
+      `UPDATE overtime_rules SET ${RULE_FIELDS.map((key) => `${key} = ?`).join(", ")} WHERE id = ?`,
+      [...RULE_FIELDS.map((key) => rule[key]), rule.id]
+    );
+
+    const [updated] = await pool.query("SELECT * FROM overtime_rules WHERE id = ?", [rule.id]);
+    await recordAuditEvent(req, "admin.overtime_rule.update", { metadata: { ruleId: rule.id, rule } });
+    return sendResponse(res, 200, true, "Overtime rule updated successfully.", { rule: updated[0] });
+  } catch (err) {
+    console.error("Update overtime rule error:", err);
+    return sendResponse(res, 500, false, "Failed to update overtime rule.");
+  }
+};
+
+// ============================================================
+// Admin: delete a rule set (assigned users fall back to the default)
+// ============================================================
+export const deleteRule = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM overtime_rules WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Overtime rule not found.");
+
+    await recordAuditEvent(req, "admin.overtime_rule.delete", { metadata: { ruleId: Number(req.params.id) } });
+
+    return sendResponse(res, 200, true, "Overtime rule deleted successfully.");
+  } catch (err) {
+    console.error("Delete overtime rule error:", err);
+    return sendResponse(res, 500, false, "Failed to delete overtime rule.");
+  }
+};
+
+// ============================================================
+// Admin: assign a rule set to users
+// Body: { userIds: [1, 2, 3] }
+// ============================================================
+export const assignRule = async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds) || !userIds.length)
+      return sendResponse(res, 400, false, "userIds must be a non-empty array.");
+
+    const [rows] = await pool.query("SELECT id FROM overtime_rules WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Overtime rule not found.");
+
+    const [result] = await pool.query("UPDATE users SET overtime_rule_id = ? WHERE id IN (?)", [
+      rows[0].id,
+      userIds,
+    ]);
+    await recordAuditEvent(req, "admin.overtime_rule.assign", { metadata: { ruleId: rows[0].id, userIds } });
+
+    return sendResponse(res, 200, true, `Overtime rule assigned to ${result.affectedRows} user(s).`);
+  } catch (err) {
+    console.error("Assign overtime rule error:", err);
+    return sendResponse(res, 500, false, "Failed to assign overtime rule.");
+  }
+};
+
+// ============================================================
+// Admin: computed overtime for any user
+// Query: ?userId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+// ============================================================
+export const getUserOvertime = async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const range = parseRange(req.query);
+    if (!userId) return sendResponse(res, 400, false, "userId is required.");
+    if (!range)
+      return sendResponse(res, 400, false, "Valid from and to dates (YYYY-MM-DD) are required.");
+
+    const [userRows] = await pool.query("SELECT id FROM users WHERE id = ?", [userId]);
+    if (!userRows.length) return sendResponse(res, 404, false, "User not found.");
+
+    const overtime = await computeOvertime(Number(userId), range.from, range.to);
+    return sendResponse(res, 200, true, "Overtime computed successfully.", {
+      userId: Number(userId),
+      ...range,
+      ...overtime,
+    });
+  } catch (err) {
+    console.error("Compute overtime error:", err);
+    return sendResponse(res, 500, false, "Failed to compute overtime.");
+  }
+};
+
+// ============================================================
+// Staff: computed overtime for the logged-in user
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// ============================================================
+export const getMyOvertime = async (req, res) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range)
+      return sendResponse(res, 400, false, "Valid from and to dates (YYYY-MM-DD) are required.");
+
+    const overtime = await computeOvertime(req.user.id, range.from, range.to);
+    return sendResponse(res, 200, true, "Overtime computed successfully.", { ...range, ...overtime });
+  } catch (err) {
+    console.error("Compute overtime error:", err);
+    return sendResponse(res, 500, false, "Failed to compute overtime.");
+  }
+};
+
+// ============================================================
+// Admin: list overtime approvals (optional ?status=, default pending)
+// ============================================================
+export const listApprovals = async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+
+    const [rows] = await pool.query(
+      `SELECT a.*, u.name AS user_name, u.email AS user_email
+       FROM overtime_approvals a
+       JOIN users u ON u.id = a.user_id
+       WHERE a.status = ?
+       ORDER BY a.work_date DESC`,
+      [status]
+    );
+    return sendResponse(res, 200, true, "Overtime approvals fetched successfully.", {
+      approvals: rows,
+    });
+  } catch (err) {
+    console.error("List overtime approvals error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch overtime approvals.");
+  }
+};
+
+// ============================================================
+// Admin: approve or reject overtime above the cap
+// Body: { comment? }
+// ============================================================
+const resolveApproval = (decision) => async (req, res) => {
+  try {
+    const { comment } = req.body || {};
+
+    const [rows] = await pool.query("SELECT * FROM overtime_approvals WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Overtime approval not found.");
+
+    const approval = rows[0];
+    if (approval.status !== "pending")
+      return sendResponse(res, 409, false, `Overtime is already ${approval.status}.`);
+
+    await pool.query(
+      `UPDATE overtime_approvals
+       SET status = ?, reviewed_by = ?, review_comment = ?, reviewed_at = NOW()
+       WHERE id = ?`,
+      [decision, req.user.id, comment || null, approval.id]
+    );
+
+    await recordAuditEvent(req, `admin.overtime.${decision === "approved" ? "approve" : "reject"}`, {
+      targetUserId: approval.user_id,
+      metadata: { approvalId: approval.id, comment: comment || null },
+    });
+
+    const hours = Math.round((approval.excess_minutes / 60) * 100) / 100;
+    await notifyUser(
+      approval.user_id,
+      decision === "approved" ? "Overtime Approved" : "Overtime Rejected",
+      `${hours}h of overtime on ${formatDate(approval.work_date)} was ${decision}.${comment ? ` Comment: ${comment}` : ""}`,
+      "attendance"
+    );
+
+    return sendResponse(res, 200, true, `Overtime ${decision}.`);
+  } catch (err) {
+    console.error("Resolve overtime error:", err);
+    return sendResponse(res, 500, false, "Failed to update overtime approval.");
+  }
+};
+
+export const approveOvertime = resolveApproval("approved");
+export const rejectOvertime = resolveApproval("rejected");
@@ -0,0 +1,77 @@
+//   Payroll reports for admins. Exports are streamed straight to the
+//   response so large date ranges never have to be built in memory.
+import ExcelJS from "exceljs";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { toDate } from "../utils/workingDays.js";
+import { buildTimesheet, TIMESHEET_COLUMNS } from "../utils/timesheet.js";
+import { csvRow, write } from "../utils/csv.js";
+
+const streamCsv = async (res, rows, filename) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+
+  await write(res, csvRow(TIMESHEET_COLUMNS.map((c) => c.header)));
+  for await (const row of rows) {
+    await write(res, csvRow(TIMESHEET_COLUMNS.map((c) => row[c.key])));
+  }
+  res.end();
+};
+
+const streamXlsx = async (res, rows, filename) => {
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+
+  // Streaming writer: each committed row is flushed to the response
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Timesheets");
+  sheet.columns = TIMESHEET_COLUMNS.map((c) => ({ header: c.header, key: c.key, width: 16 }));
+
+  for await (const row of rows) {
+    // ExcelJS doesn't wait for the response, so notice an aborted download here
+    if (res.destroyed) throw new Error("Client disconnected");
+    const added = sheet.addRow(row);
+    if (row.type === "total") added.font = { bold: true };
+    added.commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+};
+
+// ============================================================
+// Admin: export timesheets for payroll
+// Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&userId=&format=csv|xlsx
+// ============================================================
+export const exportTimesheets = async (req, res) => {
+  const { from, to, userId, format = "csv" } = req.query;
+
+  const start = toDate(from);
+  const end = toDate(to);
+  if (!start || !end || start > end)
+    return sendResponse(res, 400, false, "Valid from and to dates (YYYY-MM-DD) are required.");
+  if (!["csv", "xlsx"].includes(format))
+    return sendResponse(res, 400, false, "format must be csv or xlsx.");
+
+  await recordAuditEvent(req, "admin.report.export", {
+    targetUserId: userId ? Number(userId) : null,
+    metadata: { report: "timesheets", from, to, format },
+  });
+
+  const rows = buildTimesheet({ from, to, userId: userId ? Number(userId) : null });
+  const filename = `timesheets_${from}_${to}`;
+
+  try {
+    if (format === "xlsx") await streamXlsx(res, rows, filename);
+    else await streamCsv(res, rows, filename);
+  } catch (err) {
+    // The client aborted the download; its query stream is already closed
+    if (res.destroyed) return;
+    console.error("Timesheet export error:", err);
+    // Headers are already sent once streaming starts, so we can only abort
+    if (!res.headersSent) return sendResponse(res, 500, false, "Failed to export timesheets.");
+    res.destroy(err);
+  }
+};
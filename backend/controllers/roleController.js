@@ -0,0 +1,210 @@
+//   Admin management of roles. A role is a named, editable set of
+//   permissions from utils/permissions.js; users and invites reference
+//   it by name. Built-in roles can't be deleted, and the admin role
+//   always holds every permission so it can't be edited either.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { PERMISSIONS, isPermission } from "../utils/permissions.js";
+import { ADMIN_ROLE } from "../utils/roles.js";
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,49}$/;
+
+// Validate a permissions array. Returns an error message or null.
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return "permissions must be an array.";
+  const unknown = permissions.filter((permission) => !isPermission(permission));
+  return unknown.length ? `Unknown permissions: ${unknown.join(", ")}.` : null;
+};
+
+// Permissions in the list the requester doesn't hold themselves, so nobody
+// can give a role (possibly their own) more access than they have
+const findUngrantable = (req, permissions) =>
+  permissions.filter((permission) => !req.permissions.has(permission));
+
+// Run `work(conn)` in a transaction
+const withTransaction = async (work) => {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await work(conn);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Replace the permission set of a role (call inside a transaction, so the
+// role is never left half-updated or without permissions)
+const setRolePermissions = async (conn, role, permissions) => {
+  await conn.query("DELETE FROM role_permissions WHERE role = ?", [role]);
+  const unique = [...new Set(permissions)];
+  if (unique.length)
+    await conn.query("INSERT INTO role_permissions (role, permission) VALUES ?", [
+      unique.map((permission) => [role, permission]),
+    ]);
+};
+
+const findRole = async (name) => {
+  const [rows] = await pool.query(
+    `SELECT r.name, r.description, r.is_system, r.created_at,
+            (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+     FROM roles r WHERE r.name = ?`,
+    [name]
+  );
+  if (!rows.length) return null;
+  const [permissions] = await pool.query(
+    "SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission",
+    [name]
+  );
+  return {
+    ...rows[0],
+    permissions:
+      name === ADMIN_ROLE ? Object.keys(PERMISSIONS) : permissions.map((row) => row.permission),
+  };
+};
+
+// ============================================================
+// List every permission the system knows about
+// ============================================================
+export const listPermissions = async (req, res) => {
+  return sendResponse(res, 200, true, "Permissions fetched successfully.", {
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+// ============================================================
+// List roles with their permissions and user counts
+// ============================================================
+export const listRoles = async (req, res) => {
+  try {
+    const [roles] = await pool.query(
+      `SELECT r.name, r.description, r.is_system, r.created_at,
+              (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+       FROM roles r ORDER BY r.is_system DESC, r.name`
+    );
+    const [grants] = await pool.query("SELECT role, permission FROM role_permissions ORDER BY permission");
+
+    return sendResponse(res, 200, true, "Roles fetched successfully.", {
+      roles: roles.map((role) => ({
+        ...role,
+        permissions:
+          role.name === ADMIN_ROLE
+            ? Object.keys(PERMISSIONS)
+            : grants.filter((grant) => grant.role === role.name).map((grant) => grant.permission),
+      })),
+    });
+  } catch (err) {
+    console.error("List roles error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch roles.");
+  }
+};
+
+// ============================================================
+// Create a role
+// Body: { name, description?, permissions: string[] }
+// ============================================================
+export const createRole = async (req, res) => {
+  try {
+    const name = req.body.name?.trim();
+    const { description = null, permissions = [] } = req.body;
+    if (!name || !ROLE_NAME.test(name))
+      return sendResponse(
+        res,
+        400,
+        false,
+        "name must be 2-50 characters: lowercase letters, digits, - or _, starting with a letter."
+      );
+    const error = validatePermissions(permissions);
+    if (error) return sendResponse(res, 400, false, error);
+    const ungrantable = findUngrantable(req, permissions);
+    if (ungrantable.length)
+      return sendResponse(res, 403, false, "You can't grant permissions you don't have.", {
+        permissions: ungrantable,
+      });
+
+    await withTransaction(async (conn) => {
+      await conn.query("INSERT INTO roles (name, description) VALUES (?, ?)", [name, description]);
+      await setRolePermissions(conn, name, permissions);
+    });
+
+    await recordAuditEvent(req, "admin.role.create", { metadata: { role: name, permissions } });
+    return sendResponse(res, 201, true, "Role created successfully.", { role: await findRole(name) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") return sendResponse(res, 409, false, "A role with this name already exists.");
+    console.error("Create role error:", err);
+    return sendResponse(res, 500, false, "Failed to create role.");
+  }
+};
+
+// ============================================================
+// Update a role's description and/or permissions
+// Body: { description?, permissions? (replaces the whole set) }
+// ============================================================
+export const updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+    if (description === undefined && permissions === undefined)
+      return sendResponse(res, 400, false, "Nothing to update.");
+    if (permissions !== undefined) {
+      const error = validatePermissions(permissions);
+      if (error) return sendResponse(res, 400, false, error);
+      const ungrantable = findUngrantable(req, permissions);
+      if (ungrantable.length)
+        return sendResponse(res, 403, false, "You can't grant permissions you don't have.", {
+          permissions: ungrantable,
+        });
+    }
+
+    const role = await findRole(req.params.name);
+    if (!role) return sendResponse(res, 404, false, "Role not found.");
+    if (role.name === ADMIN_ROLE)
+      return sendResponse(res, 400, false, "The admin role always has every permission and can't be edited.");
+
+    await withTransaction(async (conn) => {
+      if (description !== undefined)
+        await conn.query("UPDATE roles SET description = ? WHERE name = ?", [description, role.name]);
+      if (permissions !== undefined) await setRolePermissions(conn, role.name, permissions);
+    });
+
+    await recordAuditEvent(req, "admin.role.update", {
+      metadata: { role: role.name, from: role.permissions, to: permissions ?? role.permissions },
+    });
+    return sendResponse(res, 200, true, "Role updated successfully.", { role: await findRole(role.name) });
+  } catch (err) {
+    console.error("Update role error:", err);
+    return sendResponse(res, 500, false, "Failed to update role.");
+  }
+};
+
+// ============================================================
+// Delete a custom role (only once no user or pending invite uses it)
+// ============================================================
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await findRole(req.params.name);
+    if (!role) return sendResponse(res, 404, false, "Role not found.");
+    if (role.is_system) return sendResponse(res, 400, false, "Built-in roles can't be deleted.");
+    if (role.user_count)
+      return sendResponse(res, 409, false, "Move the users with this role to another role first.", {
+        userCount: role.user_count,
+      });
+
+    const [[{ invites }]] = await pool.query(
+      `SELECT COUNT(*) AS invites FROM user_invites
+       WHERE role = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [role.name]
+    );
+    if (invites) return sendResponse(res, 409, false, "Revoke the pending invites for this role first.");
+
+    await pool.query("DELETE FROM roles WHERE name = ?", [role.name]);
+    await recordAuditEvent(req, "admin.role.delete", { metadata: { role: role.name } });
+    return sendResponse(res, 200, true, "Role deleted successfully.");
+  } catch (err) {
+    console.error("Delete role error:", err);
+    return sendResponse(res, 500, false, "Failed to delete role.");
+  }
+};
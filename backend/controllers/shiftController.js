@@ -0,0 +1,166 @@
+//   Admin CRUD for staff shifts (working hours, grace period, weekdays).
+//   Shifts are used by attendanceController to flag each clock-in as
+//   on-time, late or absent.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { WEEKDAYS } from "../utils/shiftSchedule.js";
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Accepts ["mon","tue"] or "mon,tue" and returns a clean "mon,tue" string (or null if invalid)
+const parseWeekdays = (weekdays) => {
+  const list = (Array.isArray(weekdays) ? weekdays : String(weekdays || "").split(","))
+    .map((d) => String(d).trim().toLowerCase())
+    .filter(Boolean);
+  if (!list.length || list.some((d) => !WEEKDAYS.includes(d))) return null;
+  return [...new Set(list)].join(",");
+};
+
+// Validate shift fields from the request body. Returns an error message or null.
+const validateShift = ({ start_time, end_time, grace_minutes, weekdays }) => {
+  if (!TIME_RE.test(start_time || "") || !TIME_RE.test(end_time || ""))
+    return "start_time and end_time must be in HH:MM format.";
+  if (start_time === end_time) return "start_time and end_time cannot be the same.";
+  if (grace_minutes !== undefined && (!Number.isInteger(Number(grace_minutes)) || Number(grace_minutes) < 0))
+    return "grace_minutes must be a non-negative whole number.";
+  if (!parseWeekdays(weekdays)) return `weekdays must be a list of: ${WEEKDAYS.join(", ")}.`;
+  return null;
+};
+
+// ============================================================
+// List shifts (optional ?userId= filter)
+// ============================================================
+export const listShifts = async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    let sql = `
+      SELECT s.id, s.user_id, u.name AS user_name, u.email AS user_email,
+             s.name, s.start_time, s.end_time, s.grace_minutes, s.weekdays, s.created_at
+      FROM shifts s
+      JOIN users u ON u.id = s.user_id`;
+    const params = [];
+    if (userId) {
+      sql += " WHERE s.user_id = ?";
+      params.push(userId);
+    }
+    sql += " ORDER BY u.name, s.start_time";
+
+    const [rows] = await pool.query(sql, params);
+    return sendResponse(res, 200, true, "Shifts fetched successfully.", { shifts: rows });
+  } catch (err) {
+    console.error("List shifts error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch shifts.");
+  }
+};
+
+// ============================================================
+// Get a single shift
+// ============================================================
+export const getShift = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM shifts WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Shift not found.");
+
+    return sendResponse(res, 200, true, "Shift fetched successfully.", { shift: rows[0] });
+  } catch (err) {
+    console.error("Get shift error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch shift.");
+  }
+};
+
+// ============================================================
+// Create a shift for a staff member
+// Body: { userId, name?, start_time, end_time, grace_minutes?, weekdays }
+// ============================================================
+export const createShift = async (req, res) => {
+  try {
+    const { userId, name, start_time, end_time, grace_minutes = 0, weekdays } = req.body;
+
+    if (!userId) return sendResponse(res, 400, false, "userId is required.");
+    const error = validateShift(req.body);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const [userRows] = await pool.query("SELECT id FROM users WHERE id = ?", [userId]);
+    if (!userRows.length) return sendResponse(res, 404, false, "User not found.");
+
+    const [result] = await pool.query(
+      `INSERT INTO shifts (user_id, name, start_time, end_time, grace_minutes, weekdays)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, name || null, start_time, end_time, Number(grace_minutes), parseWeekdays(weekdays)]
+    );
+
+    const [rows] = await pool.query("SELECT * FROM shifts WHERE id = ?", [result.insertId]);
+    await recordAuditEvent(req, "admin.shift.create", {
+      targetUserId: Number(userId),
+      metadata: { shiftId: result.insertId },
+    });
+    return sendResponse(res, 201, true, "Shift created successfully.", { shift: rows[0] });
+  } catch (err) {
+    console.error("Create shift error:", err);
+    return sendResponse(res, 500, false, "Failed to create shift.");
+  }
+};
+
+// ============================================================
+// Update a shift (partial updates allowed)
+// ============================================================
+export const updateShift = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM shifts WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Shift not found.");
+
+    const current = rows[0];
+    const merged = {
+      name: req.body.name !== undefined ? req.body.name : current.name,
+      start_time: req.body.start_time || current.start_time,
+      end_time: req.body.end_time || current.end_time,
+      grace_minutes:
+        req.body.grace_minutes !== undefined ? req.body.grace_minutes : current.grace_minutes,
+      weekdays: req.body.weekdays !== undefined ? req.body.weekdays : current.weekdays,
+    };
+
+    const error = validateShift(merged);
+    if (error) return sendResponse(res, 400, false, error);
+
+    await pool.query(
+      `UPDATE shifts SET name=?, start_time=?, end_time=?, grace_minutes=?, weekdays=? WHERE id=?`,
+      [
+        merged.name || null,
+        merged.start_time,
+        merged.end_time,
+        Number(merged.grace_minutes),
+        parseWeekdays(merged.weekdays),
+        current.id,
+      ]
+    );
+
+    const [updated] = await pool.query("SELECT * FROM shifts WHERE id = ?", [current.id]);
+    await recordAuditEvent(req, "admin.shift.update", {
+      targetUserId: current.user_id,
+      metadata: { shiftId: current.id, changes: merged },
+    });
+    return sendResponse(res, 200, true, "Shift updated successfully.", { shift: updated[0] });
+  } catch (err) {
+    console.error("Update shift error:", err);
+    return sendResponse(res, 500, false, "Failed to update shift.");
+  }
+};
+
+// ============================================================
+// Delete a shift
+// ============================================================
+export const deleteShift = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM shifts WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Shift not found.");
+
+    await recordAuditEvent(req, "admin.shift.delete", { metadata: { shiftId: Number(req.params.id) } });
+
+    return sendResponse(res, 200, true, "Shift deleted successfully.");
+  } catch (err) {
+    console.error("Delete shift error:", err);
+    return sendResponse(res, 500, false, "Failed to delete shift.");
+  }
+};
@@ -0,0 +1,151 @@
+//   Admin management of office sites used for geofenced clock-in,
+//   plus review of rejected clock-in attempts.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { isValidCoordinate } from "../utils/geofence.js";
+
+// Validate site fields from the request body. Returns an error message or null.
+const validateSite = ({ name, latitude, longitude, radius_meters }) => {
+  if (!name) return "name is required.";
+  if (!isValidCoordinate(latitude, longitude))
+    return "latitude and longitude must be valid coordinates.";
+  if (!Number.isInteger(Number(radius_meters)) || Number(radius_meters) <= 0)
+    return "radius_meters must be a positive whole number.";
+  return null;
+};
+
+// ============================================================
+// List office sites
+// ============================================================
+export const listSites = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM office_sites ORDER BY name");
+    return sendResponse(res, 200, true, "Office sites fetched successfully.", { sites: rows });
+  } catch (err) {
+    console.error("List sites error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch office sites.");
+  }
+};
+
+// ============================================================
+// Create an office site
+// Body: { name, latitude, longitude, radius_meters, is_active? }
+// ============================================================
+export const createSite = async (req, res) => {
+  try {
+    const { name, latitude, longitude, radius_meters, is_active = true } = req.body;
+
+    const error = validateSite(req.body);
+    if (error) return sendResponse(res, 400, false, error);
+
+    const [result] = await pool.query(
+      "INSERT INTO office_sites (name, latitude, longitude, radius_meters, is_active) VALUES (?, ?, ?, ?, ?)",
+      [name, Number(latitude), Number(longitude), Number(radius_meters), Boolean(is_active)]
+    );
+
+    const [rows] = await pool.query("SELECT * FROM office_sites WHERE id = ?", [result.insertId]);
+    await recordAuditEvent(req, "admin.site.create", { metadata: { siteId: result.insertId, name } });
+    return sendResponse(res, 201, true, "Office site created successfully.", { site: rows[0] });
+  } catch (err) {
+    console.error("Create site error:", err);
+    return sendResponse(res, 500, false, "Failed to create office site.");
+  }
+};
+
+// ============================================================
+// Update an office site (partial updates allowed)
+// ============================================================
+export const updateSite = async (req, res) => {
+  try {
+    const [rows] = await pool.query("SELECT * FROM office_sites WHERE id = ?", [req.params.id]);
+    if (!rows.length) return sendResponse(res, 404, false, "Office site not found.");
+
+    const current = rows[0];
+    const merged = { ...current };
+    for (const key of ["name", "latitude", "longitude", "radius_meters", "is_active"]) {
+      if (req.body[key] !== undefined) merged[key] = req.body[key];
+    }
+
+    const error = validateSite(merged);
+    if (error) return sendResponse(res, 400, false, error);
+
+    await pool.query(
+      "UPDATE office_sites SET name=?, latitude=?, longitude=?, radius_meters=?, is_active=? WHERE id=?",
+      [
+        merged.name,
+        Number(merged.latitude),
+        Number(merged.longitude),
+        Number(merged.radius_meters),
+        Boolean(merged.is_active),
+        current.id,
+      ]
+    );
+
+    const [updated] = await pool.query("SELECT * FROM office_sites WHERE id = ?", [current.id]);
+    await recordAuditEvent(req, "admin.site.update", { metadata: { siteId: current.id } });
+    return sendResponse(res, 200, true, "Office site updated successfully.", { site: updated[0] });
+  } catch (err) {
+    console.error("Update site error:", err);
+    return sendResponse(res, 500, false, "Failed to update office site.");
+  }
+};
+
+// ============================================================
+// Delete an office site
+// ============================================================
+export const deleteSite = async (req, res) => {
+  try {
+    const [result] = await pool.query("DELETE FROM office_sites WHERE id = ?", [req.params.id]);
+    if (result.affectedRows === 0) return sendResponse(res, 404, false, "Office site not found.");
+
+    await recordAuditEvent(req, "admin.site.delete", { metadata: { siteId: Number(req.params.id) } });
+
+    return sendResponse(res, 200, true, "Office site deleted successfully.");
+  } catch (err) {
+    console.error("Delete site error:", err);
+    return sendResponse(res, 500, false, "Failed to delete office site.");
+  }
+};
+
+// ============================================================
+// List rejected clock-in attempts (newest first)
+// Optional query: ?userId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+// ============================================================
+export const listRejections = async (req, res) => {
+  try {
+    const { userId, from, to } = req.query;
+
+    let sql = `
+      SELECT r.id, r.user_id, u.name AS user_name, u.email AS user_email,
+             r.latitude, r.longitude, r.nearest_site_id, s.name AS nearest_site_name,
+             r.distance_meters, r.reason, r.created_at
+      FROM clock_in_rejections r
+      JOIN users u ON u.id = r.user_id
+      LEFT JOIN office_sites s ON s.id = r.nearest_site_id
+      WHERE 1 = 1`;
+    const params = [];
+
+    if (userId) {
+      sql += " AND r.user_id = ?";
+      params.push(userId);
+    }
+    if (from) {
+      sql += " AND r.created_at >= ?";
+      params.push(from);
+    }
+    if (to) {
+      sql += " AND r.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+      params.push(to);
+    }
+    sql += " ORDER BY r.created_at DESC";
+
+    const [rows] = await pool.query(sql, params);
+    return sendResponse(res, 200, true, "Rejected clock-ins fetched successfully.", {
+      rejections: rows,
+    });
+  } catch (err) {
+    console.error("List rejections error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch rejected clock-ins.");
+  }
+};
@@ -0,0 +1,131 @@
+//   TOTP two-factor enrolment for logged-in users: setup (otpauth URI +
+//   recovery codes), confirmation with a first code, and disabling.
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { notifyUser } from "../utils/notifyUser.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { comparePassword } from "../utils/hashPassword.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+} from "../utils/totp.js";
+
+// ============================================================
+// Start enrolment: new secret + recovery codes (2FA not active yet)
+// ============================================================
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [rows] = await pool.query("SELECT email, totp_enabled FROM users WHERE id = ?", [userId]);
+    if (!rows.length) return sendResponse(res, 404, false, "User not found.");
+    if (rows[0].totp_enabled)
+      return sendResponse(res, 409, false, "Two-factor authentication is already enabled.");
+
+    const secret = generateTotpSecret();
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await pool.query(
+      "UPDATE users SET totp_secret = ?, totp_enabled = FALSE, totp_last_step = NULL WHERE id = ?",
+      [secret, userId]
+    );
+    await pool.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [userId]);
+    await pool.query("INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?", [
+      hashes.map((hash) => [userId, hash]),
+    ]);
+
+    // Recovery codes are only ever shown here — store only their hashes
+    return sendResponse(res, 200, true, "Scan the QR code, then confirm with a code from your app.", {
+      otpauthUri: buildOtpauthUri(secret, rows[0].email),
+      secret,
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    return sendResponse(res, 500, false, "Failed to start two-factor setup.");
+  }
+};
+
+// ============================================================
+// Confirm enrolment with a code from the authenticator app
+// Body: { code }
+// ============================================================
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+    if (!code) return sendResponse(res, 400, false, "Code is required.");
+
+    const [rows] = await pool.query(
+      "SELECT totp_secret, totp_enabled FROM users WHERE id = ?",
+      [userId]
+    );
+    if (!rows.length) return sendResponse(res, 404, false, "User not found.");
+
+    const user = rows[0];
+    if (user.totp_enabled)
+      return sendResponse(res, 409, false, "Two-factor authentication is already enabled.");
+    if (!user.totp_secret)
+      return sendResponse(res, 400, false, "Start two-factor setup first.");
+
+    const step = verifyTotp(user.totp_secret, String(code).trim());
+    if (step === null) return sendResponse(res, 400, false, "Invalid code. Please try again.");
+
+    await pool.query(
+      "UPDATE users SET totp_enabled = TRUE, totp_last_step = ? WHERE id = ?",
+      [step, userId]
+    );
+    await recordAuditEvent(req, "auth.2fa_enabled", { targetUserId: userId });
+    await notifyUser(userId, "Two-Factor Enabled", "Two-factor authentication is now on for your account.", "security");
+
+    return sendResponse(res, 200, true, "Two-factor authentication enabled.");
+  } catch (err) {
+    console.error("2FA confirm error:", err);
+    return sendResponse(res, 500, false, "Failed to confirm two-factor setup.");
+  }
+};
+
+// ============================================================
+// Disable 2FA (requires current password and a valid code)
+// Body: { password, code }
+// ============================================================
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { password, code } = req.body;
+    if (!password || !code)
+      return sendResponse(res, 400, false, "Password and code are required.");
+
+    const [rows] = await pool.query(
+      "SELECT password_hash, totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?",
+      [userId]
+    );
+    if (!rows.length) return sendResponse(res, 404, false, "User not found.");
+
+    const user = rows[0];
+    if (!user.totp_enabled)
+      return sendResponse(res, 400, false, "Two-factor authentication is not enabled.");
+
+    const passwordOk = await comparePassword(password, user.password_hash);
+    const step = verifyTotp(user.totp_secret, String(code).trim(), user.totp_last_step);
+    if (!passwordOk || step === null) {
+      await recordAuditEvent(req, "auth.2fa_disable_failed", { targetUserId: userId });
+      return sendResponse(res, 401, false, "Invalid password or code.");
+    }
+
+    await pool.query(
+      "UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = ?",
+      [userId]
+    );
+    await pool.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [userId]);
+    await recordAuditEvent(req, "auth.2fa_disabled", { targetUserId: userId });
+    await notifyUser(userId, "Two-Factor Disabled", "Two-factor authentication was turned off for your account.", "security");
+
+    return sendResponse(res, 200, true, "Two-factor authentication disabled.");
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    return sendResponse(res, 500, false, "Failed to disable two-factor authentication.");
+  }
+};
@@ -1,9 +1,27 @@
-//   Manages profile fetching and password changing for logged-in users.
+//   Manages profile fetching, password changing, backup email and
+//   notification preferences for logged-in users.
 //   Uses the same standardized response format as authController.js
 //   so frontend can easily show toast notifications.
 import pool from "../config/db.js";
-import bcrypt from "bcrypt";
 import { sendResponse } from "../utils/responseHandler.js"; // ✅ Toast helper
+import { hashPassword, comparePassword } from "../utils/hashPassword.js";
+import {
+  isStrongPassword,
+  isPasswordReused,
+  recordPasswordHistory,
+  WEAK_PASSWORD_MESSAGE,
+} from "../utils/passwordPolicy.js";
+import { revokeAllSessions } from "../utils/authTokens.js";
+import { notifyUser } from "../utils/notifyUser.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+import { changeBackupEmail } from "../utils/emailVerification.js";
+import { getRolePermissions } from "../utils/permissions.js";
+import {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  ALWAYS_ON,
+  getNotificationPreferences,
+} from "../utils/notificationPreferences.js";
 
 // ============================================================
 // Fetch logged-in user's profile
@@ -14,7 +32,8 @@ export const getProfile = async (req, res) => {
 
     // Query current user's info
     const [rows] = await pool.query(
-      "SELECT id, email, name FROM users WHERE id = ?",
+      `SELECT id, email, name, role, backup_email, email_verified_at, backup_email_verified_at
+       FROM users WHERE id = ?`,
       [userId]
     );
 
@@ -38,6 +57,12 @@ export const getProfile = async (req, res) => {
       email: user.email,
       name: user.name,
       initials,
+      role: user.role,
+      // Lets the frontend show only the admin screens this user can use
+      permissions: [...(await getRolePermissions(user.role))],
+      emailVerified: Boolean(user.email_verified_at),
+      backupEmail: user.backup_email,
+      backupEmailVerified: Boolean(user.backup_email_verified_at),
     });
   } catch (err) {
     console.error("Profile fetch error:", err);
@@ -47,6 +72,8 @@ export const getProfile = async (req, res) => {
 
 // ============================================================
 // Change password (only for logged-in users)
+// Enforces the strength policy, rejects recent passwords, and signs
+// out every other session (the current one stays logged in).
 // ============================================================
 export const changePassword = async (req, res) => {
   try {
@@ -62,9 +89,12 @@ export const changePassword = async (req, res) => {
         "Both current and new passwords are required."
       );
 
+    if (!isStrongPassword(newPassword))
+      return sendResponse(res, 400, false, WEAK_PASSWORD_MESSAGE);
+
     // Fetch current password hash
     const [rows] = await pool.query(
-      "SELECT password_hash FROM users WHERE id = ?",
+      "SELECT email, password_hash FROM users WHERE id = ?",
       [userId]
     );
     if (rows.length === 0)
@@ -73,20 +103,143 @@ export const changePassword = async (req, res) => {
     const user = rows[0];
 
     // Compare passwords
-    const match = await bcrypt.compare(currentPassword, user.password_hash);
+    const match = await comparePassword(currentPassword, user.password_hash);
     if (!match)
       return sendResponse(res, 401, false, "Current password is incorrect.");
 
-    // Hash and update new password
-    const hashed = await bcrypt.hash(newPassword, 10);
+    // Reject the current password and recent ones
+    if (await isPasswordReused(userId, newPassword))
+      return sendResponse(res, 400, false, "You cannot reuse one of your recent passwords.");
+
+    // Hash and update new password (remember the old hash)
+    await recordPasswordHistory(userId, user.password_hash);
+    const hashed = await hashPassword(newPassword);
     await pool.query("UPDATE users SET password_hash = ? WHERE id = ?", [
       hashed,
       userId,
     ]);
 
+    // Sign out all other sessions
+    await revokeAllSessions(userId, req.user.sid);
+    await recordAuditEvent(req, "auth.password_changed", { targetUserId: userId });
+
+    const message =
+      "Your password was changed and your other sessions were signed out. If this wasn't you, reset your password immediately.";
+    // Security notices always go out in-app and by email
+    await notifyUser(userId, "Password Changed", message, "security");
+
     return sendResponse(res, 200, true, "Password updated successfully.");
   } catch (err) {
     console.error("Change password error:", err);
     return sendResponse(res, 500, false, "Failed to update password.");
   }
 };
+
+// ============================================================
+// Set or remove the backup email used for password resets
+// Body: { backup_email: "backup@example.com" | null }
+// A new address gets a verification link and can't receive reset
+// links until it is verified.
+// ============================================================
+export const updateBackupEmail = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const backupEmail = req.body.backup_email?.trim() || null;
+
+    const [rows] = await pool.query("SELECT id, email, backup_email FROM users WHERE id = ?", [userId]);
+    if (rows.length === 0) return sendResponse(res, 404, false, "User not found.");
+    const user = rows[0];
+
+    if (backupEmail && backupEmail.toLowerCase() === user.email.toLowerCase())
+      return sendResponse(res, 400, false, "Backup email must differ from your login email.");
+    if (backupEmail === user.backup_email)
+      return sendResponse(res, 200, true, "Backup email unchanged.");
+
+    await changeBackupEmail(user, backupEmail);
+    await recordAuditEvent(req, "auth.backup_email_changed", {
+      targetUserId: userId,
+      metadata: { removed: !backupEmail },
+    });
+    await notifyUser(
+      userId,
+      "Backup Email Changed",
+      backupEmail
+        ? `Your backup email was changed to ${backupEmail}. Check that inbox to verify it.`
+        : "Your backup email was removed.",
+      "security"
+    );
+
+    return sendResponse(
+      res,
+      200,
+      true,
+      backupEmail ? "Backup email saved. Check that inbox for a verification link." : "Backup email removed."
+    );
+  } catch (err) {
+    console.error("Update backup email error:", err);
+    return sendResponse(res, 500, false, "Failed to update backup email.");
+  }
+};
+
+// ============================================================
+// Get notification channel preferences per category
+// ============================================================
+export const getMyNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.user.id);
+    return sendResponse(res, 200, true, "Notification preferences fetched successfully.", {
+      preferences,
+      alwaysOn: ALWAYS_ON,
+    });
+  } catch (err) {
+    console.error("Get notification preferences error:", err);
+    return sendResponse(res, 500, false, "Failed to fetch notification preferences.");
+  }
+};
+
+// ============================================================
+// Update notification channel preferences (partial updates allowed)
+// Body: { attendance: { email: true, sms: false }, leave: { in_app: true }, ... }
+// ============================================================
+export const updateMyNotificationPreferences = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const updates = req.body || {};
+
+    // Validate everything before saving anything
+    for (const [category, channels] of Object.entries(updates)) {
+      if (!NOTIFICATION_CATEGORIES.includes(category))
+        return sendResponse(res, 400, false, `Unknown category: ${category}.`);
+      if (!channels || typeof channels !== "object")
+        return sendResponse(res, 400, false, `${category} must be an object of channels.`);
+
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel))
+          return sendResponse(res, 400, false, `Unknown channel: ${channel}.`);
+        if (typeof enabled !== "boolean")
+          return sendResponse(res, 400, false, `${category}.${channel} must be true or false.`);
+        if (!enabled && (ALWAYS_ON[category] || []).includes(channel))
+          return sendResponse(res, 400, false, `${category} notifications can't be turned off for ${channel}.`);
+      }
+    }
+
+    const current = await getNotificationPreferences(userId);
+    for (const [category, channels] of Object.entries(updates)) {
+      const prefs = { ...current[category], ...channels };
+      await pool.query(
+        `INSERT INTO notification_preferences (user_id, category, in_app, email, sms)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), email = VALUES(email), sms = VALUES(sms)`,
+        [userId, category, prefs.in_app, prefs.email, prefs.sms]
+      );
+    }
+
+    const preferences = await getNotificationPreferences(userId);
+    return sendResponse(res, 200, true, "Notification preferences updated successfully.", {
+      preferences,
+    });
+  } catch (err) {
+    console.error("Update notification preferences error:", err);
+    return sendResponse(res, 500, false, "Failed to update notification preferences.");
+  }
+};
@@ -1,15 +1,27 @@
-import jwt from "jsonwebtoken";
-export const verifyToken = (req, res, next) => {
+import { authenticateAccessToken } from "../utils/authTokens.js";
+
+export const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization || req.headers.Authorization;
   if (!authHeader || !authHeader.startsWith("Bearer "))
     return res.status(401).json({ message: "No token provided" });
 
   const token = authHeader.split(" ")[1];
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    const auth = await authenticateAccessToken(token);
+    if (!auth) return res.status(403).json({ message: "Invalid or expired token" });
+
+    req.user = auth.decoded;
     next();
-  } catch {
-    return res.status(403).json({ message: "Invalid or expired token" });
+  } catch (err) {
+    console.error("Token verification failed:", err.message);
+    return res.status(500).json({ message: "Failed to verify token" });
   }
 };
+
+// EventSource can't set headers, so streaming routes may pass ?access_token=.
+// Must run before verifyToken; the header still wins when both are sent.
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token)
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  next();
+};
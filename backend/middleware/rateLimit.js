@@ -0,0 +1,87 @@
+import { sendResponse } from "../utils/responseHandler.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+import { recordAuditEvent } from "../utils/auditLog.js";
+
+// Read a positive number from the environment, else the fallback
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Limits per route group. Each can be overridden with
+ * RATE_LIMIT_<GROUP>_WINDOW_MS / _MAX_PER_IP / _MAX_PER_EMAIL.
+ * maxPerEmail only applies when the request body carries an email.
+ */
+export const RATE_LIMITS = {
+  login: { windowMs: 15 * 60 * 1000, maxPerIp: 30, maxPerEmail: 10 },
+  signup: { windowMs: 60 * 60 * 1000, maxPerIp: 10, maxPerEmail: 3 },
+  passwordReset: { windowMs: 15 * 60 * 1000, maxPerIp: 10, maxPerEmail: 3 },
+  unlock: { windowMs: 15 * 60 * 1000, maxPerIp: 5, maxPerEmail: 3 },
+  verifyEmail: { windowMs: 15 * 60 * 1000, maxPerIp: 20, maxPerEmail: 10 },
+  resendVerification: { windowMs: 60 * 60 * 1000, maxPerIp: 10, maxPerEmail: 3 },
+};
+
+const resolveLimits = (group) => {
+  const defaults = RATE_LIMITS[group];
+  if (!defaults) throw new Error(`Unknown rate limit group: ${group}`);
+
+  const prefix = `RATE_LIMIT_${group.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
+  return {
+    windowMs: envNumber(`${prefix}_WINDOW_MS`, defaults.windowMs),
+    maxPerIp: envNumber(`${prefix}_MAX_PER_IP`, defaults.maxPerIp),
+    maxPerEmail: envNumber(`${prefix}_MAX_PER_EMAIL`, defaults.maxPerEmail),
+  };
+};
+
+/**
+ * Rate-limit a route group, counting hits per client IP and per target email.
+ * Over the limit it responds 429 with Retry-After (seconds).
+ * If the store fails the request is let through rather than locking everyone out.
+ *
+ * @param {keyof RATE_LIMITS} group - Which limits to apply (see RATE_LIMITS).
+ */
+export const rateLimit = (group) => {
+  const limits = resolveLimits(group);
+
+  return async (req, res, next) => {
+    try {
+      const store = getRateLimitStore();
+      const checks = [{ key: `${group}:ip:${req.ip}`, max: limits.maxPerIp }];
+
+      const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+      if (email) checks.push({ key: `${group}:email:${email}`, max: limits.maxPerEmail });
+
+      let retryAfterMs = 0;
+      let justExceeded = false;
+      for (const { key, max } of checks) {
+        const { count, resetAt } = await store.increment(key, limits.windowMs);
+        if (count === max + 1) justExceeded = true;
+        // Stop at the first exceeded limit: an IP over its limit mustn't keep
+        // creating per-email counters (one per email it sprays)
+        if (count > max) {
+          retryAfterMs = resetAt - Date.now();
+          break;
+        }
+      }
+
+      if (retryAfterMs > 0) {
+        const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+        // Only the first blocked hit per window is audited, so a flood can't flood the log
+        if (justExceeded)
+          await recordAuditEvent(req, "security.rate_limited", {
+            metadata: { group, email: email || null, path: req.originalUrl },
+          });
+        res.set("Retry-After", String(retryAfter));
+        return sendResponse(res, 429, false, `Too many requests. Try again in ${retryAfter}s.`, {
+          retryAfter,
+        });
+      }
+
+      next();
+    } catch (err) {
+      console.error("Rate limiter error:", err.message);
+      next();
+    }
+  };
+};
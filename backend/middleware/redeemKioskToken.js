@@ -0,0 +1,38 @@
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { verifyKioskToken } from "../utils/kioskToken.js";
+
+/**
+ * Middleware to redeem a scanned kiosk QR token before clock-in.
+ * Must run after verifyToken. Expects { kioskToken } in the body.
+ * Each token can be redeemed once per user (replay protection), and the
+ * kiosk's site is passed on to clockIn in place of a geofence check.
+ */
+export const redeemKioskToken = async (req, res, next) => {
+  const { kioskToken } = req.body || {};
+  if (!kioskToken) return sendResponse(res, 400, false, "kioskToken is required.");
+
+  let decoded;
+  try {
+    decoded = verifyKioskToken(kioskToken);
+  } catch {
+    return sendResponse(res, 400, false, "Invalid or expired QR code. Please scan again.");
+  }
+
+  try {
+    // Unique (jti, user_id) makes a second redemption fail
+    await pool.query(
+      "INSERT INTO kiosk_token_redemptions (jti, user_id, expires_at) VALUES (?, ?, ?)",
+      [decoded.jti, req.user.id, new Date(decoded.exp * 1000)]
+    );
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY")
+      return sendResponse(res, 409, false, "This QR code has already been used.");
+    console.error("Kiosk token redemption failed:", err.message);
+    return sendResponse(res, 500, false, "Failed to redeem QR code.");
+  }
+
+  req.kiosk = { jti: decoded.jti, siteId: decoded.siteId || null };
+  req.geofence = decoded.siteId ? { siteId: decoded.siteId, outside: false } : null;
+  next();
+};
@@ -0,0 +1,78 @@
+import pool from "../config/db.js";
+import { sendResponse } from "../utils/responseHandler.js";
+import { isValidCoordinate, matchOfficeSite } from "../utils/geofence.js";
+
+// "reject" refuses punches outside every site, "flag" lets them through marked as outside
+const GEOFENCE_MODE = process.env.GEOFENCE_MODE === "flag" ? "flag" : "reject";
+
+// Store a refused clock-in attempt so admins can review it
+const recordRejection = async (userId, latitude, longitude, reason, match = {}) => {
+  try {
+    await pool.query(
+      `INSERT INTO clock_in_rejections (user_id, latitude, longitude, nearest_site_id, distance_meters, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        isValidCoordinate(latitude, longitude) ? latitude : null,
+        isValidCoordinate(latitude, longitude) ? longitude : null,
+        match.site ? match.site.id : null,
+        match.distance ?? null,
+        reason,
+      ]
+    );
+  } catch (err) {
+    console.error("❌ Error saving clock-in rejection:", err.message);
+  }
+};
+
+/**
+ * Middleware to check that a clock-in is made from an allowed office site.
+ * Must run after verifyToken. Expects { latitude, longitude } in the body.
+ * Skipped entirely when no active sites are configured.
+ * Sets req.geofence = { siteId, latitude, longitude, distance, outside }.
+ */
+export const verifyGeofence = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { latitude, longitude } = req.body || {};
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      const [sites] = await pool.query(
+        "SELECT COUNT(*) AS total FROM office_sites WHERE is_active = TRUE"
+      );
+      if (sites[0].total === 0) {
+        req.geofence = null;
+        return next();
+      }
+
+      await recordRejection(userId, latitude, longitude, "missing_location");
+      return sendResponse(res, 400, false, "Device location (latitude, longitude) is required to clock in.");
+    }
+
+    const match = await matchOfficeSite(latitude, longitude);
+    if (!match.sitesConfigured) {
+      req.geofence = null;
+      return next();
+    }
+
+    if (!match.inside && GEOFENCE_MODE === "reject") {
+      await recordRejection(userId, latitude, longitude, "outside_geofence", match);
+      return sendResponse(res, 403, false, "You are not at an allowed office location.", {
+        nearestSite: match.site.name,
+        distanceMeters: match.distance,
+      });
+    }
+
+    req.geofence = {
+      siteId: match.site.id,
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      distance: match.distance,
+      outside: !match.inside,
+    };
+    next();
+  } catch (err) {
+    console.error("Geofence check failed:", err.message);
+    return sendResponse(res, 500, false, "Failed to verify location.");
+  }
+};
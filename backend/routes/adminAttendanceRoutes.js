@@ -0,0 +1,15 @@
+// routes/adminAttendanceRoutes.js
+import express from "express";
+import { getDailyAttendance } from "../controllers/attendanceController.js";
+import { requireScopedPermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/attendance/daily
+ * Attendance status of every scheduled user for a day (?date=YYYY-MM-DD);
+ * managers see their teams only
+ */
+router.get("/daily", requireScopedPermission("attendance.read"), getDailyAttendance);
+
+export default router;
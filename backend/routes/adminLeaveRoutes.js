@@ -0,0 +1,37 @@
+// routes/adminLeaveRoutes.js
+import express from "express";
+import {
+  listLeaveRequests,
+  approveLeave,
+  rejectLeave,
+  setLeaveAllowance,
+} from "../controllers/leaveController.js";
+import { requirePermission, requireScopedPermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/leave
+ * List leave requests (optional ?status=&userId=); managers see their teams only
+ */
+router.get("/", requireScopedPermission("leave.approve"), listLeaveRequests);
+
+/**
+ * PATCH /api/admin/leave/:id/approve
+ * Approve a pending leave request
+ */
+router.patch("/:id/approve", requireScopedPermission("leave.approve"), approveLeave);
+
+/**
+ * PATCH /api/admin/leave/:id/reject
+ * Reject a pending leave request
+ */
+router.patch("/:id/reject", requireScopedPermission("leave.approve"), rejectLeave);
+
+/**
+ * PUT /api/admin/leave/allowance
+ * Set a user's yearly allowance for a leave type
+ */
+router.put("/allowance", requirePermission("leave.manage"), setLeaveAllowance);
+
+export default router;
@@ -1,7 +1,7 @@
 // routes/adminNotificationRoutes.js
 import express from "express";
 import { broadcastNotification, personalNotification } from "../controllers/adminNotificationController.js";
-import { verifyAdmin } from "../middleware/verifyAdmin.js";
+import { requirePermission, requireScopedPermission } from "../middleware/requirePermission.js";
 
 const router = express.Router();
 
@@ -9,12 +9,12 @@ const router = express.Router();
  * POST /api/admin/notify/all
  * Send a broadcast message to all staff
  */
-router.post("/notify/all", verifyAdmin, broadcastNotification);
+router.post("/notify/all", requirePermission("notifications.broadcast"), broadcastNotification);
 
 /**
  * POST /api/admin/notify/user
- * Send a message to a specific staff member
+ * Send a message to a specific staff member (managers: own teams only)
  */
-router.post("/notify/user", verifyAdmin, personalNotification);
+router.post("/notify/user", requireScopedPermission("notifications.send"), personalNotification);
 
 export default router;
@@ -0,0 +1,58 @@
+// routes/adminUserRoutes.js
+import express from "express";
+import {
+  listUsers,
+  getUser,
+  updateUser,
+  changeUserRole,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+} from "../controllers/adminUserController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/users
+ * List users (?search=&role=&status=&page=&limit=)
+ */
+router.get("/", requirePermission("users.manage"), listUsers);
+
+/**
+ * GET /api/admin/users/:id
+ * Fetch a single user
+ */
+router.get("/:id", requirePermission("users.manage"), getUser);
+
+/**
+ * PUT /api/admin/users/:id
+ * Edit a user's profile
+ */
+router.put("/:id", requirePermission("users.manage"), updateUser);
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * Change a user's role
+ */
+router.patch("/:id/role", requirePermission("users.manage"), changeUserRole);
+
+/**
+ * PATCH /api/admin/users/:id/deactivate
+ * Deactivate a user (blocks login)
+ */
+router.patch("/:id/deactivate", requirePermission("users.manage"), deactivateUser);
+
+/**
+ * PATCH /api/admin/users/:id/reactivate
+ * Reactivate a user
+ */
+router.patch("/:id/reactivate", requirePermission("users.manage"), reactivateUser);
+
+/**
+ * PATCH /api/admin/users/:id/unlock
+ * Unlock a locked account
+ */
+router.patch("/:id/unlock", requirePermission("users.manage"), unlockUser);
+
+export default router;
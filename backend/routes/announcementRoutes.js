@@ -0,0 +1,38 @@
+// routes/announcementRoutes.js
+import express from "express";
+import {
+  listAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+} from "../controllers/announcementController.js";
+import { requirePermission, requireScopedPermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/announcements
+ * List announcements (?status=active|expired&page=&limit=)
+ */
+router.get("/", requirePermission("announcements.manage"), listAnnouncements);
+
+/**
+ * POST /api/admin/announcements
+ * Publish an announcement to everyone, a role, a department or a list of users
+ * (managers: their own departments or team members only)
+ */
+router.post("/", requireScopedPermission("notifications.send"), createAnnouncement);
+
+/**
+ * PUT /api/admin/announcements/:id
+ * Edit title, message, priority, pinning or expiry
+ */
+router.put("/:id", requirePermission("announcements.manage"), updateAnnouncement);
+
+/**
+ * DELETE /api/admin/announcements/:id
+ * Delete an announcement for everyone
+ */
+router.delete("/:id", requirePermission("announcements.manage"), deleteAnnouncement);
+
+export default router;
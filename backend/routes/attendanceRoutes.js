@@ -0,0 +1,19 @@
+import express from "express";
+import { clockIn, clockOut, getMyAttendance } from "../controllers/attendanceController.js";
+import { getMyOvertime } from "../controllers/overtimeController.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyGeofence } from "../middleware/verifyGeofence.js";
+import { redeemKioskToken } from "../middleware/redeemKioskToken.js";
+
+const router = express.Router();
+
+// Protected routes - clock in / out and view own attendance
+router.post("/clock-in", verifyToken, verifyGeofence, clockIn);
+router.post("/clock-out", verifyToken, clockOut);
+// Clock in by scanning the reception kiosk QR code
+router.post("/kiosk", verifyToken, redeemKioskToken, clockIn);
+
+router.get("/me", verifyToken, getMyAttendance);
+router.get("/overtime", verifyToken, getMyOvertime);
+
+export default router;
@@ -0,0 +1,14 @@
+// routes/auditRoutes.js
+import express from "express";
+import { listAuditEvents } from "../controllers/auditController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/audit
+ * Security audit log (?userId=&action=&from=&to=&page=&limit=&format=json|csv)
+ */
+router.get("/", requirePermission("audit.read"), listAuditEvents);
+
+export default router;
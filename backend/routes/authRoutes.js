@@ -1,18 +1,45 @@
 import express from "express";
 import {
   registerUser,
+  acceptInvite,
   loginUser,
   forgotPassword,
   resetPassword,
   unlockAccount,
+  refreshAccessToken,
+  logoutUser,
+  loginTwoFactor,
+  resetPasswordWithSms,
+  verifyEmail,
+  resendVerification,
 } from "../controllers/authController.js";
+import {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+} from "../controllers/twoFactorController.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
-router.post("/signup", registerUser);
-router.post("/login", loginUser);
-router.post("/forgot-password", forgotPassword);
-router.post("/reset-password", resetPassword);
-router.post("/unlock-account", unlockAccount);
+// Public routes are rate limited per IP and per email (see middleware/rateLimit.js)
+router.post("/signup", rateLimit("signup"), registerUser);
+router.post("/accept-invite", rateLimit("signup"), acceptInvite);
+router.post("/login", rateLimit("login"), loginUser);
+router.post("/login/2fa", rateLimit("login"), loginTwoFactor);
+router.post("/refresh", refreshAccessToken);
+router.post("/logout", logoutUser);
+router.post("/forgot-password", rateLimit("passwordReset"), forgotPassword);
+router.post("/reset-password", rateLimit("passwordReset"), resetPassword);
+router.post("/reset-password/sms", rateLimit("passwordReset"), resetPasswordWithSms);
+router.post("/unlock-account", rateLimit("unlock"), unlockAccount);
+router.post("/verify-email", rateLimit("verifyEmail"), verifyEmail);
+router.post("/resend-verification", rateLimit("resendVerification"), resendVerification);
+
+// Two-factor enrolment (protected)
+router.post("/2fa/setup", verifyToken, setupTwoFactor);
+router.post("/2fa/confirm", verifyToken, confirmTwoFactor);
+router.post("/2fa/disable", verifyToken, disableTwoFactor);
 
 export default router;
@@ -0,0 +1,37 @@
+// routes/departmentRoutes.js
+import express from "express";
+import {
+  listDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+} from "../controllers/departmentController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/departments
+ * List departments with parent, manager and member counts
+ */
+router.get("/", requirePermission("departments.manage"), listDepartments);
+
+/**
+ * POST /api/admin/departments
+ * Create a department or team (optional parent and manager)
+ */
+router.post("/", requirePermission("departments.manage"), createDepartment);
+
+/**
+ * PUT /api/admin/departments/:id
+ * Rename, move or change the manager of a department
+ */
+router.put("/:id", requirePermission("departments.manage"), updateDepartment);
+
+/**
+ * DELETE /api/admin/departments/:id
+ * Delete a department (members are unassigned, its teams move to the top level)
+ */
+router.delete("/:id", requirePermission("departments.manage"), deleteDepartment);
+
+export default router;
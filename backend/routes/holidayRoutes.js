@@ -0,0 +1,49 @@
+// routes/holidayRoutes.js
+import express from "express";
+import {
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays,
+} from "../controllers/holidayController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/holidays
+ * List holidays and closures (?year= or ?from=&to=)
+ */
+router.get("/", requirePermission("holidays.manage"), listHolidays);
+
+/**
+ * POST /api/admin/holidays
+ * Create a holiday or closure
+ */
+router.post("/", requirePermission("holidays.manage"), createHoliday);
+
+/**
+ * POST /api/admin/holidays/import
+ * Bulk import from an iCal (.ics) file (raw text/calendar body or JSON { ics })
+ */
+router.post(
+  "/import",
+  requirePermission("holidays.manage"),
+  express.text({ type: ["text/calendar", "text/plain"], limit: "1mb" }),
+  importHolidays
+);
+
+/**
+ * PUT /api/admin/holidays/:id
+ * Update a holiday or closure
+ */
+router.put("/:id", requirePermission("holidays.manage"), updateHoliday);
+
+/**
+ * DELETE /api/admin/holidays/:id
+ * Delete a holiday or closure
+ */
+router.delete("/:id", requirePermission("holidays.manage"), deleteHoliday);
+
+export default router;
@@ -0,0 +1,32 @@
+// routes/inviteRoutes.js
+import express from "express";
+import { listInvites, createInvite, resendInvite, revokeInvite } from "../controllers/inviteController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/invites
+ * List invites (?status=pending|expired|accepted|revoked|all, default pending)
+ */
+router.get("/", requirePermission("users.manage"), listInvites);
+
+/**
+ * POST /api/admin/invites
+ * Invite a staff member by email with a role and department
+ */
+router.post("/", requirePermission("users.manage"), createInvite);
+
+/**
+ * POST /api/admin/invites/:id/resend
+ * Email a fresh invite link
+ */
+router.post("/:id/resend", requirePermission("users.manage"), resendInvite);
+
+/**
+ * DELETE /api/admin/invites/:id
+ * Revoke a pending invite
+ */
+router.delete("/:id", requirePermission("users.manage"), revokeInvite);
+
+export default router;
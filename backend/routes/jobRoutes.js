@@ -0,0 +1,51 @@
+// routes/jobRoutes.js
+import express from "express";
+import {
+  listJobs,
+  createJob,
+  updateJob,
+  deleteJob,
+  runJobNow,
+  listJobRuns,
+} from "../controllers/jobController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/jobs
+ * List scheduled jobs with their latest run
+ */
+router.get("/", requirePermission("jobs.manage"), listJobs);
+
+/**
+ * POST /api/admin/jobs
+ * Create a job (e.g. a scheduled announcement)
+ */
+router.post("/", requirePermission("jobs.manage"), createJob);
+
+/**
+ * PUT /api/admin/jobs/:id
+ * Update a job's schedule, payload or enabled flag
+ */
+router.put("/:id", requirePermission("jobs.manage"), updateJob);
+
+/**
+ * DELETE /api/admin/jobs/:id
+ * Delete a job
+ */
+router.delete("/:id", requirePermission("jobs.manage"), deleteJob);
+
+/**
+ * POST /api/admin/jobs/:id/run
+ * Run a job on the next scheduler tick
+ */
+router.post("/:id/run", requirePermission("jobs.manage"), runJobNow);
+
+/**
+ * GET /api/admin/jobs/:id/runs
+ * Run history of a job
+ */
+router.get("/:id/runs", requirePermission("jobs.manage"), listJobRuns);
+
+export default router;
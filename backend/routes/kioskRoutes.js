@@ -0,0 +1,14 @@
+// routes/kioskRoutes.js
+import express from "express";
+import { issueKioskToken } from "../controllers/kioskController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/kiosk/token
+ * Issue a short-lived QR token for the reception kiosk
+ */
+router.get("/token", requirePermission("kiosk.issue"), issueKioskToken);
+
+export default router;
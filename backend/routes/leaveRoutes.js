@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  requestLeave,
+  getMyLeave,
+  getMyBalances,
+  cancelLeave,
+} from "../controllers/leaveController.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Protected routes - request leave and view own requests / balances
+router.post("/", verifyToken, requestLeave);
+router.get("/me", verifyToken, getMyLeave);
+router.get("/balance", verifyToken, getMyBalances);
+router.patch("/:id/cancel", verifyToken, cancelLeave);
+
+export default router;
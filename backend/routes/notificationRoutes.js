@@ -1,10 +1,26 @@
 import express from "express";
-import { getNotifications } from "../controllers/notificationController.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  streamNotifications,
+} from "../controllers/notificationController.js";
+import { verifyToken, allowQueryToken } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Protected route - get user's notifications
+// Protected route - get user's notifications (?limit=&cursor=&unreadOnly=true)
 router.get("/", verifyToken, getNotifications);
 
+// Protected route - live notifications over Server-Sent Events
+router.get("/stream", allowQueryToken, verifyToken, streamNotifications);
+
+// Protected routes - read state and per-user deletion
+router.get("/unread-count", verifyToken, getUnreadCount);
+router.patch("/read-all", verifyToken, markAllNotificationsRead);
+router.patch("/:id/read", verifyToken, markNotificationRead);
+router.delete("/:id", verifyToken, deleteNotification);
+
 export default router;
@@ -0,0 +1,72 @@
+// routes/overtimeRoutes.js
+import express from "express";
+import {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  assignRule,
+  getUserOvertime,
+  listApprovals,
+  approveOvertime,
+  rejectOvertime,
+} from "../controllers/overtimeController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/overtime
+ * Computed overtime for a user (?userId=&from=&to=)
+ */
+router.get("/", requirePermission("overtime.manage"), getUserOvertime);
+
+/**
+ * GET /api/admin/overtime/rules
+ * List overtime rule sets
+ */
+router.get("/rules", requirePermission("overtime.manage"), listRules);
+
+/**
+ * POST /api/admin/overtime/rules
+ * Create an overtime rule set
+ */
+router.post("/rules", requirePermission("overtime.manage"), createRule);
+
+/**
+ * PUT /api/admin/overtime/rules/:id
+ * Update an overtime rule set
+ */
+router.put("/rules/:id", requirePermission("overtime.manage"), updateRule);
+
+/**
+ * DELETE /api/admin/overtime/rules/:id
+ * Delete an overtime rule set
+ */
+router.delete("/rules/:id", requirePermission("overtime.manage"), deleteRule);
+
+/**
+ * PUT /api/admin/overtime/rules/:id/assign
+ * Assign a rule set to users
+ */
+router.put("/rules/:id/assign", requirePermission("overtime.manage"), assignRule);
+
+/**
+ * GET /api/admin/overtime/approvals
+ * List overtime above the cap (?status=pending|approved|rejected)
+ */
+router.get("/approvals", requirePermission("overtime.manage"), listApprovals);
+
+/**
+ * PATCH /api/admin/overtime/approvals/:id/approve
+ * Approve overtime above the cap
+ */
+router.patch("/approvals/:id/approve", requirePermission("overtime.manage"), approveOvertime);
+
+/**
+ * PATCH /api/admin/overtime/approvals/:id/reject
+ * Reject overtime above the cap
+ */
+router.patch("/approvals/:id/reject", requirePermission("overtime.manage"), rejectOvertime);
+
+export default router;
@@ -0,0 +1,14 @@
+// routes/reportRoutes.js
+import express from "express";
+import { exportTimesheets } from "../controllers/reportController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/reports/timesheets
+ * Export per-day timesheets with per-user totals (?from=&to=&userId=&format=csv|xlsx)
+ */
+router.get("/timesheets", requirePermission("reports.export"), exportTimesheets);
+
+export default router;
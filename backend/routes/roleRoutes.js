@@ -0,0 +1,44 @@
+// routes/roleRoutes.js
+import express from "express";
+import {
+  listPermissions,
+  listRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/roleController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/roles/permissions
+ * List every permission that can be granted to a role
+ */
+router.get("/permissions", requirePermission("roles.manage"), listPermissions);
+
+/**
+ * GET /api/admin/roles
+ * List roles with their permissions and user counts
+ */
+router.get("/", requirePermission("roles.manage"), listRoles);
+
+/**
+ * POST /api/admin/roles
+ * Create a role with a set of permissions
+ */
+router.post("/", requirePermission("roles.manage"), createRole);
+
+/**
+ * PUT /api/admin/roles/:name
+ * Change a role's description or permissions (not the admin role)
+ */
+router.put("/:name", requirePermission("roles.manage"), updateRole);
+
+/**
+ * DELETE /api/admin/roles/:name
+ * Delete a custom role that no user or pending invite uses
+ */
+router.delete("/:name", requirePermission("roles.manage"), deleteRole);
+
+export default router;
@@ -0,0 +1,44 @@
+// routes/shiftRoutes.js
+import express from "express";
+import {
+  listShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift,
+} from "../controllers/shiftController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/shifts
+ * List all shifts (optional ?userId= filter)
+ */
+router.get("/", requirePermission("shifts.manage"), listShifts);
+
+/**
+ * GET /api/admin/shifts/:id
+ * Fetch a single shift
+ */
+router.get("/:id", requirePermission("shifts.manage"), getShift);
+
+/**
+ * POST /api/admin/shifts
+ * Create a shift for a staff member
+ */
+router.post("/", requirePermission("shifts.manage"), createShift);
+
+/**
+ * PUT /api/admin/shifts/:id
+ * Update a shift
+ */
+router.put("/:id", requirePermission("shifts.manage"), updateShift);
+
+/**
+ * DELETE /api/admin/shifts/:id
+ * Delete a shift
+ */
+router.delete("/:id", requirePermission("shifts.manage"), deleteShift);
+
+export default router;
@@ -0,0 +1,44 @@
+// routes/siteRoutes.js
+import express from "express";
+import {
+  listSites,
+  createSite,
+  updateSite,
+  deleteSite,
+  listRejections,
+} from "../controllers/siteController.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/sites/rejections
+ * Review clock-in attempts refused by the geofence
+ */
+router.get("/rejections", requirePermission("sites.manage"), listRejections);
+
+/**
+ * GET /api/admin/sites
+ * List office sites
+ */
+router.get("/", requirePermission("sites.manage"), listSites);
+
+/**
+ * POST /api/admin/sites
+ * Create an office site (latitude, longitude, radius)
+ */
+router.post("/", requirePermission("sites.manage"), createSite);
+
+/**
+ * PUT /api/admin/sites/:id
+ * Update an office site
+ */
+router.put("/:id", requirePermission("sites.manage"), updateSite);
+
+/**
+ * DELETE /api/admin/sites/:id
+ * Delete an office site
+ */
+router.delete("/:id", requirePermission("sites.manage"), deleteSite);
+
+export default router;
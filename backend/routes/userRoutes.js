@@ -1,14 +1,26 @@
 import express from "express";
 import { verifyToken } from "../middleware/authMiddleware.js";
-import { getProfile } from "../controllers/userController.js";
+import {
+  getProfile,
+  changePassword,
+  updateBackupEmail,
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences,
+} from "../controllers/userController.js";
 
 const router = express.Router();
 
 // Get logged-in user's profile (with initials)
 router.get("/profile", verifyToken, getProfile);
 
-// old route, got changed to forgot-password
-// Change password (protected route) 
-// router.put("/change-password", verifyToken, changePassword);
+// Change password (protected route) - strength policy + password history
+router.put("/password", verifyToken, changePassword);
+
+// Set or remove the backup email (must be verified before it receives reset links)
+router.put("/backup-email", verifyToken, updateBackupEmail);
+
+// Notification channels (in-app / email / SMS) per category
+router.get("/notification-preferences", verifyToken, getMyNotificationPreferences);
+router.put("/notification-preferences", verifyToken, updateMyNotificationPreferences);
 
 export default router;
@@ -2,15 +2,37 @@ import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { startScheduler } from "./utils/scheduler.js";
 import authRoutes from "./routes/authRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
 import adminNotificationRoutes from "./routes/adminNotificationRoutes.js";
+import attendanceRoutes from "./routes/attendanceRoutes.js";
+import shiftRoutes from "./routes/shiftRoutes.js";
+import siteRoutes from "./routes/siteRoutes.js";
+import kioskRoutes from "./routes/kioskRoutes.js";
+import leaveRoutes from "./routes/leaveRoutes.js";
+import adminLeaveRoutes from "./routes/adminLeaveRoutes.js";
+import adminAttendanceRoutes from "./routes/adminAttendanceRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
+import overtimeRoutes from "./routes/overtimeRoutes.js";
+import holidayRoutes from "./routes/holidayRoutes.js";
+import adminUserRoutes from "./routes/adminUserRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import announcementRoutes from "./routes/announcementRoutes.js";
+import departmentRoutes from "./routes/departmentRoutes.js";
+import inviteRoutes from "./routes/inviteRoutes.js";
+import roleRoutes from "./routes/roleRoutes.js";
 
 dotenv.config();
 const app = express();
 
 app.use(cors({ origin: process.env.FRONTEND_ORIGIN || "*" }));
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the client's IP for rate limiting
+if (process.env.TRUST_PROXY)
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+
 app.use(express.json());
 
 // ======================== ROUTES ========================
@@ -18,6 +40,23 @@ app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/admin", adminNotificationRoutes);
+app.use("/api/attendance", attendanceRoutes);
+app.use("/api/admin/shifts", shiftRoutes);
+app.use("/api/admin/sites", siteRoutes);
+app.use("/api/admin/kiosk", kioskRoutes);
+app.use("/api/leave", leaveRoutes);
+app.use("/api/admin/leave", adminLeaveRoutes);
+app.use("/api/admin/attendance", adminAttendanceRoutes);
+app.use("/api/admin/reports", reportRoutes);
+app.use("/api/admin/overtime", overtimeRoutes);
+app.use("/api/admin/holidays", holidayRoutes);
+app.use("/api/admin/users", adminUserRoutes);
+app.use("/api/admin/jobs", jobRoutes);
+app.use("/api/admin/audit", auditRoutes);
+app.use("/api/admin/announcements", announcementRoutes);
+app.use("/api/admin/departments", departmentRoutes);
+app.use("/api/admin/invites", inviteRoutes);
+app.use("/api/admin/roles", roleRoutes);
 
 // ======================== HOME PAGE ========================
 app.get("/", (req, res) => {
@@ -185,15 +224,91 @@ app.get("/", (req, res) => {
           </tr>
         </thead>
         <tbody>
-          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/signup</td><td>Register new user</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/signup</td><td>Register new user (emails a verification link; off when SIGNUP_MODE=invite)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/accept-invite</td><td>Create your account from an admin invite link</td></tr>
           <tr><td class="method post">POST</td><td class="endpoint">/api/auth/login</td><td>Login (JWT + lockout + reset)</td></tr>
-          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/forgot-password</td><td>Request password reset email</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/login/2fa</td><td>Exchange 2FA challenge token + code for a session</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/2fa/setup</td><td>Start TOTP enrolment (otpauth URI + recovery codes)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/2fa/confirm</td><td>Confirm TOTP enrolment with a code</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/refresh</td><td>Exchange refresh token for a new token pair</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/logout</td><td>Revoke session (or all devices)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/forgot-password</td><td>Request password reset email (or SMS code with <code>"method": "sms"</code>)</td></tr>
           <tr><td class="method post">POST</td><td class="endpoint">/api/auth/reset-password</td><td>Reset password via link</td></tr>
-          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/unlock-account</td><td>Manually unlock locked account</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/reset-password/sms</td><td>Reset password with SMS code</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/unlock-account</td><td>Unlock your account with the emailed one-time link</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/verify-email</td><td>Verify your email or backup email with the emailed link</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/auth/resend-verification</td><td>Send a new verification link</td></tr>
           <tr><td class="method get">GET</td><td class="endpoint">/api/users/profile</td><td>Fetch logged-in user's profile</td></tr>
-          <tr><td class="method get">GET</td><td class="endpoint">/api/notifications</td><td>Fetch user's personal notifications</td></tr>
-          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/notify/all</td><td>Send broadcast message (Admin only)</td></tr>
-          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/notify/user</td><td>Send message to specific staff (Admin only)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/users/password</td><td>Change password (signs out other sessions)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/users/backup-email</td><td>Set or remove your backup email (requires verification)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/users/notification-preferences</td><td>Get notification channels per category</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/users/notification-preferences</td><td>Choose in-app / email / SMS per category</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/attendance/clock-in</td><td>Clock in from an allowed office site (send latitude, longitude)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/attendance/clock-out</td><td>Clock out and record duration</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/attendance/kiosk</td><td>Clock in by scanning the kiosk QR code</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/attendance/me</td><td>Fetch logged-in user's attendance history</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/attendance/overtime</td><td>Computed overtime for a date range</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/leave</td><td>Request annual, sick or unpaid leave</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/leave/me</td><td>Fetch logged-in user's leave requests</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/leave/balance</td><td>Fetch logged-in user's leave balances</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/notifications</td><td>Fetch user's personal notifications (cursor paginated)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/notifications/stream</td><td>Live notifications (Server-Sent Events)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/notifications/unread-count</td><td>Count unread notifications</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/notifications/:id/read</td><td>Mark a notification as read</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/notifications/read-all</td><td>Mark all notifications as read</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/notifications/:id</td><td>Delete a notification (for you only)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/notify/all</td><td>Send broadcast message to all staff (notifications.broadcast)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/notify/user</td><td>Send message to specific staff (notifications.send.all / .team)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/announcements</td><td>List announcements (announcements.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/announcements</td><td>Announce to everyone, a role, a department or selected users (notifications.broadcast for everyone / roles; notifications.send.all / .team otherwise)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/announcements/:id</td><td>Edit priority, pinning, expiry or text (announcements.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/announcements/:id</td><td>Delete an announcement (announcements.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/departments</td><td>List departments (departments.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/departments</td><td>Create a department or team with an optional manager (departments.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/departments/:id</td><td>Rename, move or change the manager of a department (departments.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/departments/:id</td><td>Delete a department (departments.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/invites</td><td>List pending (or all) staff invites (users.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/invites</td><td>Invite staff by email with a role and department (users.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/invites/:id/resend</td><td>Resend an invite with a fresh link (users.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/invites/:id</td><td>Revoke an invite (users.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/roles</td><td>List roles with their permissions (roles.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/roles/permissions</td><td>List grantable permissions (roles.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/roles</td><td>Create a role from a set of permissions (roles.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/roles/:name</td><td>Change a role's description or permissions (roles.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/roles/:name</td><td>Delete an unused custom role (roles.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/users</td><td>List / search users with pagination (users.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/users/:id</td><td>Edit a user's profile (users.manage)</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/admin/users/:id/role</td><td>Change a user's role (users.manage)</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/admin/users/:id/deactivate</td><td>Deactivate / reactivate a user (users.manage)</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/admin/users/:id/unlock</td><td>Unlock a locked account (users.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/jobs</td><td>List scheduled jobs (jobs.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/jobs</td><td>Create a job, e.g. a scheduled announcement (jobs.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/jobs/:id</td><td>Update / enable / disable a job (jobs.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/jobs/:id</td><td>Delete a job (jobs.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/jobs/:id/run</td><td>Run a job now (jobs.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/jobs/:id/runs</td><td>Job run history (jobs.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/audit</td><td>Security audit log with filters and CSV export (audit.read)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/shifts</td><td>List staff shifts (shifts.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/shifts</td><td>Create a shift for a staff member (shifts.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/shifts/:id</td><td>Update a shift (shifts.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/shifts/:id</td><td>Delete a shift (shifts.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/sites</td><td>List office sites for geofenced clock-in (sites.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/sites</td><td>Create an office site (sites.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/sites/:id</td><td>Update an office site (sites.manage)</td></tr>
+          <tr><td class="method delete">DELETE</td><td class="endpoint">/api/admin/sites/:id</td><td>Delete an office site (sites.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/sites/rejections</td><td>Review rejected clock-in attempts (sites.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/kiosk/token</td><td>Issue a 30s kiosk QR token (kiosk.issue)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/attendance/daily</td><td>Daily attendance incl. absent / excused (attendance.read.all / .team)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/leave</td><td>List leave requests (leave.approve.all / .team)</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/admin/leave/:id/approve</td><td>Approve a leave request (leave.approve.all / .team)</td></tr>
+          <tr><td class="method put">PATCH</td><td class="endpoint">/api/admin/leave/:id/reject</td><td>Reject a leave request (leave.approve.all / .team)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/reports/timesheets</td><td>Export timesheets as CSV or XLSX for payroll (reports.export)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/overtime</td><td>Computed overtime for any user (overtime.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/overtime/rules</td><td>Manage overtime rule sets (overtime.manage)</td></tr>
+          <tr><td class="method put">PUT</td><td class="endpoint">/api/admin/overtime/rules/:id/assign</td><td>Assign a rule set to users (overtime.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/overtime/approvals</td><td>Resolve overtime above the cap (overtime.manage)</td></tr>
+          <tr><td class="method get">GET</td><td class="endpoint">/api/admin/holidays</td><td>Manage public holidays and closures (holidays.manage)</td></tr>
+          <tr><td class="method post">POST</td><td class="endpoint">/api/admin/holidays/import</td><td>Bulk import holidays from an iCal (.ics) file (holidays.manage)</td></tr>
         </tbody>
       </table>
     </div>
@@ -211,6 +326,7 @@ app.get("/", (req, res) => {
   "password": "Password123!",
   "phone": "+27710001111"
 }</pre>
+          <p>Open the emailed link (logged to the console outside production), or <code>POST /api/auth/verify-email</code> with <code>{ "email", "token" }</code>, before logging in.</p>
         </div>
       </div>
 
@@ -218,7 +334,8 @@ app.get("/", (req, res) => {
         <div class="accordion-header">2️⃣ Login and Copy Token</div>
         <div class="accordion-content">
           <p><code>POST /api/auth/login</code></p>
-          <p>Response will include a <code>token</code>. Copy it to test protected routes.</p>
+          <p>Response will include a <code>token</code> (valid 15 minutes) and a <code>refreshToken</code>. Copy the token to test protected routes.</p>
+          <p>When it expires, <code>POST /api/auth/refresh</code> with <code>{ "refreshToken": "..." }</code> to get a new pair.</p>
         </div>
       </div>
 
@@ -253,13 +370,18 @@ app.get("/", (req, res) => {
       </div>
 
       <div class="accordion-item">
-        <div class="accordion-header">6️⃣ Admin Broadcast Message</div>
+        <div class="accordion-header">6️⃣ Admin Announcement</div>
         <div class="accordion-content">
-          <p><code>POST /api/admin/notify/all</code></p>
+          <p><code>POST /api/admin/announcements</code></p>
           <pre>{
   "title": "System Update",
-  "message": "Server maintenance at 8PM tonight"
+  "message": "Server maintenance at 8PM tonight",
+  "target": { "type": "role", "role": "staff" },
+  "priority": "high",
+  "pinned": true,
+  "expires_at": "2025-01-31T20:00:00"
 }</pre>
+          <p>target.type is "all", "role", "department" (with departmentId) or "users" (with userIds).</p>
         </div>
       </div>
 
@@ -279,7 +401,7 @@ app.get("/", (req, res) => {
         <div class="accordion-header">8️⃣ Staff Notifications</div>
         <div class="accordion-content">
           <p><code>GET /api/notifications</code> — Requires staff JWT token</p>
-          <p>Shows any personal or broadcast messages sent by the admin.</p>
+          <p>Shows personal messages and announcements targeted at you; pinned announcements come first.</p>
         </div>
       </div>
     </div>
@@ -307,6 +429,9 @@ app.use(errorHandler);
 
 // ======================== SERVER START ========================
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () =>
-  console.log(`Backend Connected!! Server is running on http://localhost:${PORT}`)
-);
+app.listen(PORT, () => {
+  console.log(`Backend Connected!! Server is running on http://localhost:${PORT}`);
+
+  // Reminders, summaries, announcements and holiday notices (see scheduled_jobs)
+  startScheduler();
+});
@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { distanceInMeters, isValidCoordinate } from "../utils/geofence.js";
+
+test("distanceInMeters is zero for the same point", () => {
+  assert.equal(distanceInMeters(51.5074, -0.1278, 51.5074, -0.1278), 0);
+});
+
+test("distanceInMeters matches known distances", () => {
+  // One degree of latitude is ~111.2 km on a 6371 km sphere
+  assert.ok(Math.abs(distanceInMeters(0, 0, 1, 0) - 111195) < 1);
+  // London -> Paris is ~343.5 km
+  const londonParis = distanceInMeters(51.5074, -0.1278, 48.8566, 2.3522);
+  assert.ok(Math.abs(londonParis - 343500) < 1000, `got ${londonParis}`);
+  // Symmetric
+  assert.equal(distanceInMeters(48.8566, 2.3522, 51.5074, -0.1278), londonParis);
+});
+
+test("distanceInMeters handles the antimeridian", () => {
+  assert.ok(distanceInMeters(0, 179.9995, 0, -179.9995) < 200);
+});
+
+test("isValidCoordinate accepts numbers and numeric strings in range", () => {
+  assert.equal(isValidCoordinate(0, 0), true);
+  assert.equal(isValidCoordinate("-33.8688", "151.2093"), true);
+  assert.equal(isValidCoordinate(90, -180), true);
+});
+
+test("isValidCoordinate rejects missing, non-numeric and out-of-range values", () => {
+  for (const [lat, lon] of [
+    [undefined, 0],
+    [0, null],
+    ["", 0],
+    ["abc", 0],
+    [90.1, 0],
+    [0, 180.5],
+    [NaN, 0],
+    [Infinity, 0],
+  ])
+    assert.equal(isValidCoordinate(lat, lon), false, `${lat}, ${lon}`);
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitOvertime, DEFAULT_OVERTIME_RULE } from "../utils/overtime.js";
+
+// 2026-10-19 is a Monday
+const rule = {
+  ...DEFAULT_OVERTIME_RULE,
+  daily_threshold_hours: 8,
+  weekly_threshold_hours: 40,
+  overtime_multiplier: 1.5,
+  weekend_multiplier: 1.75,
+  holiday_multiplier: 2,
+  approval_cap_hours: null,
+};
+const hours = (h) => h * 60;
+
+test("weekday hours above the daily threshold are overtime", () => {
+  const [day] = splitOvertime([{ date: "2026-10-19", worked_minutes: hours(10) }], rule);
+  assert.deepEqual(day, {
+    date: "2026-10-19",
+    day_type: "weekday",
+    worked_minutes: hours(10),
+    regular_minutes: hours(8),
+    overtime_minutes: hours(2),
+    excess_minutes: 0,
+    multiplier: 1.5,
+  });
+});
+
+test("a weekday at or under the threshold has no overtime", () => {
+  const [day] = splitOvertime([{ date: "2026-10-20", worked_minutes: hours(8) }], rule);
+  assert.equal(day.regular_minutes, hours(8));
+  assert.equal(day.overtime_minutes, 0);
+});
+
+test("weekend hours are all overtime at the weekend multiplier", () => {
+  const [day] = splitOvertime([{ date: "2026-10-24", worked_minutes: hours(3) }], rule);
+  assert.equal(day.day_type, "weekend");
+  assert.equal(day.regular_minutes, 0);
+  assert.equal(day.overtime_minutes, hours(3));
+  assert.equal(day.multiplier, 1.75);
+});
+
+test("holiday hours are all overtime at the holiday multiplier", () => {
+  const [day] = splitOvertime(
+    [{ date: "2026-10-21", worked_minutes: hours(6) }],
+    rule,
+    new Set(["2026-10-21"])
+  );
+  assert.equal(day.day_type, "holiday");
+  assert.equal(day.regular_minutes, 0);
+  assert.equal(day.overtime_minutes, hours(6));
+  assert.equal(day.multiplier, 2);
+});
+
+test("regular hours above the weekly threshold move to overtime", () => {
+  const week = ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"].map((date) => ({
+    date,
+    worked_minutes: hours(8),
+  }));
+  const days = splitOvertime(week, { ...rule, weekly_threshold_hours: 30 });
+  assert.deepEqual(
+    days.map((d) => [d.regular_minutes, d.overtime_minutes]),
+    [
+      [hours(8), 0],
+      [hours(8), 0],
+      [hours(8), 0],
+      [hours(6), hours(2)],
+      [0, hours(8)],
+    ]
+  );
+});
+
+test("the weekly threshold resets on Monday", () => {
+  const days = splitOvertime(
+    [
+      { date: "2026-10-23", worked_minutes: hours(8) },
+      { date: "2026-10-26", worked_minutes: hours(8) },
+    ],
+    { ...rule, weekly_threshold_hours: 8 }
+  );
+  assert.equal(days[0].regular_minutes, hours(8));
+  assert.equal(days[1].regular_minutes, hours(8));
+  assert.equal(days[1].overtime_minutes, 0);
+});
+
+test("no weekly threshold only applies the daily one", () => {
+  const week = ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"].map((date) => ({
+    date,
+    worked_minutes: hours(9),
+  }));
+  const days = splitOvertime(week, { ...rule, weekly_threshold_hours: null });
+  assert.ok(days.every((d) => d.regular_minutes === hours(8) && d.overtime_minutes === hours(1)));
+});
+
+test("overtime above the approval cap is returned as excess", () => {
+  const capped = { ...rule, approval_cap_hours: 1 };
+  const [weekday] = splitOvertime([{ date: "2026-10-19", worked_minutes: hours(11) }], capped);
+  assert.equal(weekday.overtime_minutes, hours(1));
+  assert.equal(weekday.excess_minutes, hours(2));
+
+  const [under] = splitOvertime([{ date: "2026-10-19", worked_minutes: hours(8.5) }], capped);
+  assert.equal(under.overtime_minutes, 30);
+  assert.equal(under.excess_minutes, 0);
+
+  const [weekend] = splitOvertime([{ date: "2026-10-24", worked_minutes: hours(4) }], capped);
+  assert.equal(weekend.overtime_minutes, hours(1));
+  assert.equal(weekend.excess_minutes, hours(3));
+});
+
+test("string thresholds from MySQL DECIMAL columns are handled", () => {
+  const fromDb = {
+    ...rule,
+    daily_threshold_hours: "7.50",
+    weekly_threshold_hours: "37.50",
+    overtime_multiplier: "1.50",
+    approval_cap_hours: "2.00",
+  };
+  const [day] = splitOvertime([{ date: "2026-10-19", worked_minutes: hours(10) }], fromDb);
+  assert.equal(day.regular_minutes, 450);
+  assert.equal(day.overtime_minutes, 120);
+  assert.equal(day.excess_minutes, 30);
+  assert.equal(day.multiplier, 1.5);
+});
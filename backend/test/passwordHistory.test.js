@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import pool from "../config/db.js";
+import {
+  PASSWORD_HISTORY_LIMIT,
+  isPasswordReused,
+  recordPasswordHistory,
+} from "../utils/passwordPolicy.js";
+
+// Low cost keeps the suite fast; bcrypt.compare reads the cost from the hash
+const hash = (password) => bcrypt.hash(password, 4);
+
+// In-memory stand-in for the users and password_history tables
+const fakeDb = (t, currentHash) => {
+  const history = [];
+  let nextId = 1;
+  t.mock.method(pool, "query", async (sql, params) => {
+    if (sql.startsWith("SELECT password_hash FROM users")) return [[{ password_hash: currentHash }]];
+    if (sql.startsWith("INSERT INTO password_history")) {
+      history.push({ id: nextId++, user_id: params[0], password_hash: params[1] });
+      return [{ insertId: nextId - 1 }];
+    }
+    if (sql.startsWith("SELECT") && sql.includes("FROM password_history")) {
+      const [userId, limit] = params;
+      const newestFirst = history.filter((row) => row.user_id === userId).reverse();
+      return [newestFirst.slice(0, limit)];
+    }
+    if (sql.startsWith("DELETE FROM password_history")) {
+      const [userId, keep] = params;
+      for (let i = history.length - 1; i >= 0; i--)
+        if (history[i].user_id === userId && !keep.includes(history[i].id)) history.splice(i, 1);
+      return [{}];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+  return history;
+};
+
+test("isPasswordReused rejects the current password", async (t) => {
+  fakeDb(t, await hash("Current#Pass1"));
+  assert.equal(await isPasswordReused(1, "Current#Pass1"), true);
+  assert.equal(await isPasswordReused(1, "Brand#New1"), false);
+});
+
+test("isPasswordReused rejects the last PASSWORD_HISTORY_LIMIT passwords only", async (t) => {
+  fakeDb(t, await hash("Current#Pass1"));
+  const total = PASSWORD_HISTORY_LIMIT + 1;
+  for (let i = 0; i < total; i++) await recordPasswordHistory(1, await hash(`Old#Pass${i}`));
+
+  // The oldest one has dropped out of the window
+  assert.equal(await isPasswordReused(1, "Old#Pass0"), false);
+  for (let i = 1; i < total; i++) assert.equal(await isPasswordReused(1, `Old#Pass${i}`), true);
+});
+
+test("isPasswordReused only looks at the user's own history", async (t) => {
+  fakeDb(t, await hash("Current#Pass1"));
+  await recordPasswordHistory(2, await hash("Someone#Else1"));
+  assert.equal(await isPasswordReused(1, "Someone#Else1"), false);
+});
+
+test("recordPasswordHistory trims to PASSWORD_HISTORY_LIMIT entries", async (t) => {
+  const history = fakeDb(t, await hash("Current#Pass1"));
+  for (let i = 0; i < PASSWORD_HISTORY_LIMIT + 3; i++) await recordPasswordHistory(1, `hash-${i}`);
+  await recordPasswordHistory(2, "other-user");
+
+  const mine = history.filter((row) => row.user_id === 1).map((row) => row.password_hash);
+  assert.equal(mine.length, PASSWORD_HISTORY_LIMIT);
+  assert.deepEqual(
+    mine,
+    Array.from({ length: PASSWORD_HISTORY_LIMIT }, (_, i) => `hash-${i + 3}`)
+  );
+  // Trimming one user never touches another's history
+  assert.equal(history.filter((row) => row.user_id === 2).length, 1);
+});
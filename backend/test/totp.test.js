@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verifyTotp, hashRecoveryCode, generateRecoveryCodes } from "../utils/totp.js";
+
+// RFC 6238 appendix B: SHA-1 secret "12345678901234567890" (base32 below).
+// The RFC lists 8-digit codes; authenticator apps use the last 6 digits.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+  [20000000000, "353130"],
+];
+
+for (const [seconds, code] of RFC_VECTORS) {
+  test(`verifyTotp accepts the RFC 6238 code for T=${seconds}`, (t) => {
+    t.mock.method(Date, "now", () => seconds * 1000);
+    assert.equal(verifyTotp(RFC_SECRET, code), Math.floor(seconds / 30));
+  });
+}
+
+test("verifyTotp allows one step of drift either way, but not two", (t) => {
+  // 050471 is the code for step 37037037 (T=1111111111)
+  const atStep = (step) => t.mock.method(Date, "now", () => step * 30 * 1000);
+  atStep(37037036);
+  assert.equal(verifyTotp(RFC_SECRET, "050471"), 37037037);
+  atStep(37037038);
+  assert.equal(verifyTotp(RFC_SECRET, "050471"), 37037037);
+  atStep(37037035);
+  assert.equal(verifyTotp(RFC_SECRET, "050471"), null);
+  atStep(37037039);
+  assert.equal(verifyTotp(RFC_SECRET, "050471"), null);
+});
+
+test("verifyTotp rejects codes at or before the last used step (replay)", (t) => {
+  t.mock.method(Date, "now", () => 59 * 1000);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", 1), null);
+  assert.equal(verifyTotp(RFC_SECRET, "287082", 0), 1);
+});
+
+test("verifyTotp rejects malformed and wrong codes", (t) => {
+  t.mock.method(Date, "now", () => 59 * 1000);
+  for (const code of ["", null, "28708", "2870820", "abcdef", "287083"])
+    assert.equal(verifyTotp(RFC_SECRET, code), null);
+});
+
+test("recovery codes hash the same regardless of case and dashes", () => {
+  const { codes, hashes } = generateRecoveryCodes(3);
+  assert.equal(codes.length, 3);
+  assert.match(codes[0], /^[A-Z2-7]{4}-[A-Z2-7]{4}$/);
+  assert.equal(hashRecoveryCode(codes[0].toLowerCase().replace("-", "")), hashes[0]);
+});
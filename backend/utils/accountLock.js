@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { sendEmail } from "./sendEmail.js";
+
+export const MAX_FAILED_ATTEMPTS = 3;
+// First lock lasts BASE seconds and doubles with each consecutive lockout, up to MAX
+export const BASE_LOCK_DURATION_SECONDS = 30;
+export const MAX_LOCK_DURATION_SECONDS = 60 * 60;
+export const UNLOCK_TOKEN_EXPIRY_MINUTES = 30;
+
+export const hashUnlockToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Lock duration for the n-th consecutive lockout (1-based).
+ */
+export const lockDurationSeconds = (lockoutCount) =>
+  Math.min(MAX_LOCK_DURATION_SECONDS, BASE_LOCK_DURATION_SECONDS * 2 ** Math.max(0, lockoutCount - 1));
+
+/**
+ * Lock an account and email a one-time unlock link (token stored hashed,
+ * same pattern as the password reset link). The failed-attempt counter is
+ * reset so the user gets a fresh set of attempts once the lock expires.
+ *
+ * @param {{ id: number, email: string, lockout_count?: number }} user
+ * @returns {Promise<{ lockUntil: Date, lockoutCount: number, durationSeconds: number }>}
+ */
+export const lockAccount = async (user) => {
+  const lockoutCount = (user.lockout_count || 0) + 1;
+  const durationSeconds = lockDurationSeconds(lockoutCount);
+  const lockUntil = new Date(Date.now() + durationSeconds * 1000);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expires = new Date(Date.now() + UNLOCK_TOKEN_EXPIRY_MINUTES * 60 * 1000);
+
+  await pool.query(
+    `UPDATE users SET failed_login_attempts=0, lock_until=?, lockout_count=?,
+     unlock_token_hash=?, unlock_expires=? WHERE id=?`,
+    [lockUntil, lockoutCount, hashUnlockToken(token), expires, user.id]
+  );
+
+  const unlockLink = `${process.env.FRONTEND_ORIGIN}/unlock-account?token=${token}&email=${encodeURIComponent(
+    user.email
+  )}`;
+  if (process.env.NODE_ENV !== "production") console.log("Unlock link:", unlockLink);
+
+  // Best effort: the lock still expires on its own if the email fails
+  try {
+    await sendEmail(
+      user.email,
+      "Your account was locked",
+      `Your account was locked after ${MAX_FAILED_ATTEMPTS} failed sign-in attempts.\n\n` +
+        `If this was you, unlock it now: ${unlockLink}\n\n` +
+        `This link expires in ${UNLOCK_TOKEN_EXPIRY_MINUTES} minutes. If it wasn't you, ` +
+        `consider changing your password.`
+    );
+  } catch (e) {
+    console.error("Unlock email failed:", e.message);
+  }
+
+  return { lockUntil, lockoutCount, durationSeconds };
+};
+
+/**
+ * Clear a lock and any pending unlock link.
+ * resetEscalation also forgets previous lockouts (successful login, admin unlock).
+ */
+export const clearLock = async (userId, { resetEscalation = false } = {}) => {
+  await pool.query(
+    `UPDATE users SET failed_login_attempts=0, lock_until=NULL, unlock_token_hash=NULL,
+     unlock_expires=NULL${resetEscalation ? ", lockout_count=0" : ""} WHERE id=?`,
+    [userId]
+  );
+};
@@ -0,0 +1,177 @@
+import pool from "../config/db.js";
+import { publishNotification } from "./notificationStream.js";
+import { getNotificationPreferences } from "./notificationPreferences.js";
+import { sendEmail } from "./sendEmail.js";
+import { sendSms } from "./sendSms.js";
+import { DEPARTMENT_TREE, getDepartmentSubtree } from "./departments.js";
+
+// Announcements are notification rows with user_id = NULL. They are stored
+// once and matched to users at read time by their target, so nothing is
+// copied per recipient (only explicit user lists get a recipients table).
+export const ANNOUNCEMENT_TARGETS = ["all", "role", "department", "users"];
+export const ANNOUNCEMENT_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// Highest priority first when sorting (MySQL FIELD() order)
+export const PRIORITY_ORDER = `FIELD(n.priority, 'urgent', 'high', 'normal', 'low')`;
+
+/**
+ * Notifications visible to the user bound to `me` (one parameter: the user id):
+ * their personal rows plus live announcements targeted at them,
+ * minus anything they deleted. Expects `n` and `s` aliases as used below.
+ * Department announcements also reach the teams below that department.
+ */
+export const VISIBLE_NOTIFICATIONS = `
+  FROM notifications n
+  JOIN users me ON me.id = ?
+  LEFT JOIN notification_user_state s ON s.notification_id = n.id AND s.user_id = me.id
+  WHERE s.deleted_at IS NULL
+  AND (
+    n.user_id = me.id
+    OR (
+      n.user_id IS NULL
+      AND (n.expires_at IS NULL OR n.expires_at > NOW())
+      AND (
+        n.target_type = 'all'
+        OR (n.target_type = 'role' AND n.target_role = me.role)
+        OR (n.target_type = 'department' AND EXISTS (
+          SELECT 1 FROM ${DEPARTMENT_TREE} dt
+          WHERE dt.ancestor_id = n.target_department_id AND dt.department_id = me.department_id))
+        OR (n.target_type = 'users' AND EXISTS (
+          SELECT 1 FROM announcement_recipients r
+          WHERE r.notification_id = n.id AND r.user_id = me.id))
+      )
+    )
+  )`;
+
+/**
+ * Validate an announcement. Returns an error message or null.
+ *
+ * @param {{ title, message, target, priority, pinned, expires_at }} announcement
+ * @param {{ partial?: boolean }} options - partial: only check fields that are present (updates).
+ */
+export const validateAnnouncement = (announcement, { partial = false } = {}) => {
+  const has = (key) => !partial || announcement[key] !== undefined;
+  const { title, message, target, priority, expires_at } = announcement;
+
+  if (has("title") && !title) return "title is required.";
+  if (has("message") && !message) return "message is required.";
+  if (!partial) {
+    if (!target || !ANNOUNCEMENT_TARGETS.includes(target.type))
+      return `target.type must be one of: ${ANNOUNCEMENT_TARGETS.join(", ")}.`;
+    if (target.type === "role" && !target.role) return "target.role is required.";
+    if (target.type === "department" && !target.departmentId)
+      return "target.departmentId is required.";
+    if (target.type === "users" && !(Array.isArray(target.userIds) && target.userIds.length))
+      return "target.userIds must be a non-empty array.";
+  }
+  if (priority !== undefined && !ANNOUNCEMENT_PRIORITIES.includes(priority))
+    return `priority must be one of: ${ANNOUNCEMENT_PRIORITIES.join(", ")}.`;
+  if (expires_at && Number.isNaN(new Date(expires_at).getTime()))
+    return "expires_at must be a valid date.";
+  return null;
+};
+
+/**
+ * Active users an announcement is targeted at
+ * (for a department: its members and those of every team below it).
+ */
+export const findAnnouncementRecipients = async (announcement) => {
+  const base = "SELECT u.id, u.email, u.phone FROM users u WHERE u.is_active = TRUE";
+  switch (announcement.target_type) {
+    case "role":
+      return (await pool.query(`${base} AND u.role = ?`, [announcement.target_role]))[0];
+    case "department": {
+      const departmentIds = await getDepartmentSubtree([announcement.target_department_id]);
+      if (!departmentIds.length) return [];
+      return (await pool.query(`${base} AND u.department_id IN (?)`, [departmentIds]))[0];
+    }
+    case "users":
+      return (
+        await pool.query(
+          `${base} AND u.id IN (SELECT user_id FROM announcement_recipients WHERE notification_id = ?)`,
+          [announcement.id]
+        )
+      )[0];
+    default:
+      return (await pool.query(base))[0];
+  }
+};
+
+// Push to open streams, then email / SMS users who opted in for announcements
+const deliverAnnouncement = async (announcement) => {
+  const recipients = await findAnnouncementRecipients(announcement);
+  publishNotification(
+    { ...announcement, is_broadcast: true },
+    recipients.map((u) => u.id)
+  );
+
+  for (const user of recipients) {
+    const { announcements: channels } = await getNotificationPreferences(user.id);
+    if (channels.email && user.email) {
+      try {
+        await sendEmail(user.email, announcement.title, announcement.message);
+      } catch (e) {
+        console.error(`Announcement email to user ${user.id} failed:`, e.message);
+      }
+    }
+    if (channels.sms && user.phone) {
+      try {
+        await sendSms(user.phone, `${announcement.title}: ${announcement.message}`);
+      } catch (e) {
+        console.error(`Announcement SMS to user ${user.id} failed:`, e.message);
+      }
+    }
+  }
+};
+
+/**
+ * Create an announcement and deliver it. Email / SMS fan-out runs in the
+ * background so large audiences don't hold up the caller.
+ *
+ * @param {object} announcement
+ * @param {string} announcement.title
+ * @param {string} announcement.message
+ * @param {{ type: string, role?: string, departmentId?: number, userIds?: number[] }} announcement.target
+ * @param {string} [announcement.priority="normal"]
+ * @param {boolean} [announcement.pinned=false]
+ * @param {string|Date|null} [announcement.expires_at]
+ * @param {number|null} [createdBy] - Admin who created it (null for system announcements).
+ * @returns {Promise<number>} The announcement (notification) id.
+ */
+export const sendAnnouncement = async (announcement, createdBy = null) => {
+  const { title, message, target, priority = "normal", pinned = false, expires_at = null } = announcement;
+
+  const [result] = await pool.query(
+    `INSERT INTO notifications
+       (user_id, title, message, target_type, target_role, target_department_id,
+        priority, pinned, expires_at, created_by)
+     VALUES (NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      title,
+      message,
+      target.type,
+      target.type === "role" ? target.role : null,
+      target.type === "department" ? Number(target.departmentId) : null,
+      priority,
+      Boolean(pinned),
+      expires_at ? new Date(expires_at) : null,
+      createdBy,
+    ]
+  );
+
+  if (target.type === "users") {
+    const userIds = [...new Set(target.userIds.map(Number))];
+    await pool.query(
+      `INSERT INTO announcement_recipients (notification_id, user_id)
+       SELECT ?, id FROM users WHERE id IN (?)`,
+      [result.insertId, userIds]
+    );
+  }
+
+  const [rows] = await pool.query("SELECT * FROM notifications WHERE id = ?", [result.insertId]);
+  deliverAnnouncement(rows[0]).catch((err) =>
+    console.error(`❌ Error delivering announcement ${result.insertId}:`, err.message)
+  );
+
+  return result.insertId;
+};
@@ -0,0 +1,32 @@
+import pool from "../config/db.js";
+
+/**
+ * Append an event to the audit log (audit_events is insert-only).
+ * Never throws — a failed audit write is logged but must not break
+ * the request it describes.
+ *
+ * @param {import("express").Request|null} req - Source of IP, user agent and (by default) the actor.
+ * @param {string} action - Dotted action name, e.g. "auth.login_failed" or "admin.user.deactivate".
+ * @param {object} [details]
+ * @param {number|null} [details.actorId] - Who did it (defaults to req.user.id).
+ * @param {number|null} [details.targetUserId] - Which user it was done to, if any.
+ * @param {object|null} [details.metadata] - Anything else worth keeping (no secrets).
+ */
+export const recordAuditEvent = async (req, action, { actorId, targetUserId, metadata } = {}) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_events (actor_user_id, target_user_id, action, ip_address, user_agent, metadata)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        actorId ?? req?.user?.id ?? null,
+        targetUserId ?? null,
+        action,
+        req?.ip || null,
+        (req?.headers?.["user-agent"] || "").slice(0, 255) || null,
+        metadata ? JSON.stringify(metadata) : null,
+      ]
+    );
+  } catch (err) {
+    console.error(`❌ Error writing audit event ${action}:`, err.message);
+  }
+};
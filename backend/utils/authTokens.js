@@ -0,0 +1,184 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import pool from "../config/db.js";
+
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 15;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Sign an access token for a user's session.
+ * `sid` ties the token to a row in user_sessions so it can be revoked.
+ */
+export const generateAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+/**
+ * Sign the interim token returned by login when 2FA is enabled.
+ * It only proves the password was correct and can't be used as an access token.
+ */
+export const generateChallengeToken = (user) =>
+  jwt.sign({ type: "2fa_challenge", id: user.id }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL,
+  });
+
+/**
+ * Verify a 2FA challenge token. Returns the user id, or null if invalid/expired.
+ */
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === "2fa_challenge" ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+// Store a new refresh token for a session (only its hash is kept)
+const issueRefreshToken = async (sessionId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await pool.query(
+    "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [sessionId, hashToken(token), expiresAt]
+  );
+  return token;
+};
+
+/**
+ * Start a new login session and return its token pair.
+ *
+ * @param {{ id: number, email: string }} user
+ * @param {import("express").Request} req - Used to record IP and user agent.
+ */
+export const createSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  await pool.query(
+    "INSERT INTO user_sessions (id, user_id, ip_address, user_agent) VALUES (?, ?, ?, ?)",
+    [sessionId, user.id, req.ip || null, (req.headers["user-agent"] || "").slice(0, 255) || null]
+  );
+
+  const refreshToken = await issueRefreshToken(sessionId);
+  return { token: generateAccessToken(user, sessionId), refreshToken, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Reusing an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ *
+ * @returns {Promise<{ token: string, refreshToken: string }|null>} null if invalid.
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  const [rows] = await pool.query(
+    `SELECT t.id, t.session_id, t.expires_at, t.used_at, s.revoked_at,
+            u.id AS user_id, u.email, u.is_active
+     FROM refresh_tokens t
+     JOIN user_sessions s ON s.id = t.session_id
+     JOIN users u ON u.id = s.user_id
+     WHERE t.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  if (!rows.length) return null;
+
+  const row = rows[0];
+  if (row.revoked_at || !row.is_active || new Date(row.expires_at) < new Date()) return null;
+
+  // Mark as used; if another request already used it, treat as reuse
+  const [used] = await pool.query(
+    "UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [row.id]
+  );
+  if (used.affectedRows === 0) {
+    console.warn(`Refresh token reuse detected for user ${row.user_id}, revoking session`);
+    await revokeSession(row.session_id);
+    return null;
+  }
+
+  await pool.query("UPDATE user_sessions SET last_used_at = NOW() WHERE id = ?", [row.session_id]);
+  const newRefreshToken = await issueRefreshToken(row.session_id);
+  return {
+    token: generateAccessToken({ id: row.user_id, email: row.email }, row.session_id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+/**
+ * Revoke a single session (logout).
+ */
+export const revokeSession = async (sessionId) => {
+  await pool.query(
+    "UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+};
+
+/**
+ * Revoke every session of a user and reject any access token issued before now.
+ * Used on logout from all devices and password changes.
+ *
+ * @param {number} userId - The user's ID.
+ * @param {string|null} exceptSessionId - Session to keep (e.g. the one changing the password).
+ */
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+    [userId, exceptSessionId || ""]
+  );
+  if (!exceptSessionId)
+    await pool.query("UPDATE users SET tokens_valid_after = NOW() WHERE id = ?", [userId]);
+};
+
+/**
+ * Find the session a refresh token belongs to.
+ *
+ * @returns {Promise<{ id: string, user_id: number }|null>}
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const [rows] = await pool.query(
+    `SELECT s.id, s.user_id FROM refresh_tokens t
+     JOIN user_sessions s ON s.id = t.session_id
+     WHERE t.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Verify an access token and check it hasn't been revoked.
+ * Rejects tokens of deactivated users, tokens whose session was revoked,
+ * and tokens issued before the user's last password change / logout
+ * from all devices.
+ *
+ * @returns {Promise<{ decoded: object, user: object }|null>} null if invalid or revoked.
+ */
+export const authenticateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    return null;
+  }
+  // Typed tokens (kiosk QR etc.) share JWT_SECRET but are not access tokens
+  if (decoded.type || !decoded.sid) return null;
+
+  const [rows] = await pool.query(
+    `SELECT u.id, u.email, u.role, u.is_active, u.tokens_valid_after, s.revoked_at
+     FROM users u
+     JOIN user_sessions s ON s.id = ? AND s.user_id = u.id
+     WHERE u.id = ?`,
+    [decoded.sid, decoded.id]
+  );
+  const user = rows[0];
+  if (!user || !user.is_active || user.revoked_at) return null;
+  if (user.tokens_valid_after && decoded.iat * 1000 < new Date(user.tokens_valid_after).getTime())
+    return null;
+
+  return { decoded, user };
+};
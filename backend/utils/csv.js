@@ -0,0 +1,35 @@
+// Quote a CSV value when it contains a delimiter, quote or newline.
+// Text starting with = + - @ (or a tab / CR) is prefixed with ' so
+// spreadsheets show it instead of running it as a formula; plain
+// numbers (e.g. -5) are left alone.
+export const csvValue = (value) => {
+  let str = value === null || value === undefined ? "" : String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build one CSV line (CRLF-terminated) from a list of values
+export const csvRow = (values) => values.map(csvValue).join(",") + "\r\n";
+
+// Write to the response, waiting for it to drain when its buffer is full.
+// Throws if the client goes away, so the caller stops reading its source
+// (ending a for await loop destroys the query stream it was reading).
+export const write = async (res, chunk) => {
+  if (res.destroyed) throw new Error("Client disconnected");
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const settle = (err) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error("Client disconnected"));
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+    res.once("error", settle);
+  });
+};
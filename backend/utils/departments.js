@@ -0,0 +1,113 @@
+import pool from "../config/db.js";
+
+/**
+ * Ids of the given departments and every department below them.
+ *
+ * @param {number[]} rootIds
+ * @returns {Promise<number[]>}
+ */
+export const getDepartmentSubtree = async (rootIds) => {
+  if (!rootIds.length) return [];
+  const [rows] = await pool.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM departments WHERE id IN (?)
+       UNION
+       SELECT d.id FROM departments d JOIN tree t ON d.parent_id = t.id
+     )
+     SELECT id FROM tree`,
+    [rootIds]
+  );
+  return rows.map((row) => row.id);
+};
+
+/**
+ * Derived table of (ancestor_id, department_id) pairs: every department
+ * paired with itself and with each department below it. For SQL that has
+ * to match "this department or one of its teams" against many rows at once.
+ */
+export const DEPARTMENT_TREE = `(
+  WITH RECURSIVE tree AS (
+    SELECT id AS ancestor_id, id AS department_id FROM departments
+    UNION
+    SELECT t.ancestor_id, d.id FROM tree t JOIN departments d ON d.parent_id = t.department_id
+  )
+  SELECT ancestor_id, department_id FROM tree
+)`;
+
+/**
+ * Departments a manager is responsible for: the ones they manage
+ * directly plus all teams below them.
+ */
+export const getManagedDepartmentIds = async (managerId) => {
+  const [rows] = await pool.query("SELECT id FROM departments WHERE manager_id = ?", [managerId]);
+  return getDepartmentSubtree(rows.map((row) => row.id));
+};
+
+/**
+ * Active managers responsible for a user: managers of the user's
+ * department or of any department above it whose role grants `permission`.
+ *
+ * @param {number} userId
+ * @param {string} permission - e.g. "leave.approve.team".
+ * @returns {Promise<number[]>} Manager user ids.
+ */
+export const findUserManagerIds = async (userId, permission) => {
+  const [rows] = await pool.query(
+    `WITH RECURSIVE chain AS (
+       SELECT d.id, d.parent_id, d.manager_id
+       FROM departments d JOIN users u ON u.department_id = d.id
+       WHERE u.id = ?
+       UNION
+       SELECT p.id, p.parent_id, p.manager_id
+       FROM departments p JOIN chain c ON p.id = c.parent_id
+     )
+     SELECT DISTINCT m.id
+     FROM chain c
+     JOIN users m ON m.id = c.manager_id
+     JOIN role_permissions rp ON rp.role = m.role AND rp.permission = ?
+     WHERE m.is_active = TRUE AND m.id <> ?`,
+    [userId, permission, userId]
+  );
+  return rows.map((row) => row.id);
+};
+
+/**
+ * SQL to append to a WHERE clause so only rows in scope remain.
+ * scope.all is unrestricted; otherwise rows are limited to the managed departments.
+ *
+ * @param {{ all: boolean, departmentIds?: number[] }} scope - req.scope from requireScopedPermission.
+ * @param {string} column - Department column to filter on, e.g. "u.department_id".
+ * @returns {{ sql: string, params: any[] }}
+ */
+export const scopeCondition = (scope, column) => {
+  if (scope.all) return { sql: "", params: [] };
+  if (!scope.departmentIds.length) return { sql: " AND FALSE", params: [] };
+  return { sql: ` AND ${column} IN (?)`, params: [scope.departmentIds] };
+};
+
+/**
+ * Whether every given user is within the scope.
+ *
+ * @param {{ all: boolean, departmentIds?: number[] }} scope
+ * @param {number|number[]} userIds
+ */
+export const isInScope = async (scope, userIds) => {
+  if (scope.all) return true;
+  const ids = [...new Set([].concat(userIds).map(Number))];
+  if (!ids.length || !scope.departmentIds.length) return false;
+
+  const [[{ count }]] = await pool.query(
+    "SELECT COUNT(*) AS count FROM users WHERE id IN (?) AND department_id IN (?)",
+    [ids, scope.departmentIds]
+  );
+  return count === ids.length;
+};
+
+/**
+ * Whether moving a department under a new parent would create a cycle.
+ */
+export const wouldCreateCycle = async (departmentId, parentId) => {
+  if (!parentId) return false;
+  const subtree = await getDepartmentSubtree([Number(departmentId)]);
+  return subtree.includes(Number(parentId));
+};
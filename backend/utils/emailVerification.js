@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { sendEmail } from "./sendEmail.js";
+
+export const EMAIL_VERIFICATION_EXPIRY_HOURS = 24;
+
+export const hashVerificationToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Column names for the primary address and the backup address
+const COLUMNS = {
+  email: {
+    address: "email",
+    verifiedAt: "email_verified_at",
+    tokenHash: "email_verify_token_hash",
+    expires: "email_verify_expires",
+  },
+  backup_email: {
+    address: "backup_email",
+    verifiedAt: "backup_email_verified_at",
+    tokenHash: "backup_email_verify_token_hash",
+    expires: "backup_email_verify_expires",
+  },
+};
+
+/**
+ * Email a one-time verification link to the user's primary or backup
+ * address (token stored hashed, same pattern as the password reset link).
+ * Any earlier link for that address stops working.
+ *
+ * @param {{ id: number, email: string, backup_email?: string }} user
+ * @param {"email"|"backup_email"} [field="email"] - Which address to verify.
+ */
+export const sendVerificationEmail = async (user, field = "email") => {
+  const columns = COLUMNS[field];
+  const address = user[columns.address];
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000);
+
+  await pool.query(
+    `UPDATE users SET ${columns.tokenHash}=?, ${columns.expires}=? WHERE id=?`,
+    [hashVerificationToken(token), expires, user.id]
+  );
+
+  const verifyLink = `${process.env.FRONTEND_ORIGIN}/verify-email?token=${token}&email=${encodeURIComponent(
+    address
+  )}`;
+  if (process.env.NODE_ENV !== "production") console.log("Verification link:", verifyLink);
+
+  // Best effort: the user can ask for a new link at /api/auth/resend-verification
+  try {
+    await sendEmail(
+      address,
+      field === "email" ? "Verify your email address" : "Verify your backup email address",
+      `Confirm this address by opening: ${verifyLink}\n\n` +
+        `This link expires in ${EMAIL_VERIFICATION_EXPIRY_HOURS} hours. If you didn't request this, ignore this message.`
+    );
+  } catch (e) {
+    console.error("Verification email failed:", e.message);
+  }
+};
+
+/**
+ * Check a verification token for an address and mark it verified.
+ * The address may be a user's primary or backup email.
+ *
+ * @returns {Promise<{ userId: number, field: "email"|"backup_email" }|null>} null if invalid or expired.
+ */
+export const confirmEmailVerification = async (address, token) => {
+  const [rows] = await pool.query(
+    `SELECT id, email, backup_email, email_verify_token_hash, email_verify_expires,
+            backup_email_verify_token_hash, backup_email_verify_expires
+     FROM users WHERE email = ? OR backup_email = ?`,
+    [address, address]
+  );
+  const tokenHash = hashVerificationToken(String(token));
+
+  for (const user of rows) {
+    for (const [field, columns] of Object.entries(COLUMNS)) {
+      const storedHash = user[columns.tokenHash];
+      if (
+        user[columns.address]?.toLowerCase() === String(address).toLowerCase() &&
+        storedHash &&
+        new Date(user[columns.expires]) > new Date() &&
+        crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(storedHash))
+      ) {
+        await pool.query(
+          `UPDATE users SET ${columns.verifiedAt}=NOW(), ${columns.tokenHash}=NULL, ${columns.expires}=NULL
+           WHERE id=?`,
+          [user.id]
+        );
+        return { userId: user.id, field };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Change a user's primary email. The new address starts unverified and
+ * gets a verification link; the user can't log in until it's confirmed.
+ *
+ * @param {{ id: number, backup_email?: string }} user
+ * @param {string} email
+ */
+export const changePrimaryEmail = async (user, email) => {
+  await pool.query(
+    `UPDATE users SET email=?, email_verified_at=NULL,
+     email_verify_token_hash=NULL, email_verify_expires=NULL WHERE id=?`,
+    [email, user.id]
+  );
+  await sendVerificationEmail({ ...user, email }, "email");
+};
+
+/**
+ * Set (or clear) a user's backup email. A new address starts unverified
+ * and gets a verification link; it can't receive reset links until verified.
+ *
+ * @param {{ id: number, email: string }} user
+ * @param {string|null} backupEmail
+ */
+export const changeBackupEmail = async (user, backupEmail) => {
+  await pool.query(
+    `UPDATE users SET backup_email=?, backup_email_verified_at=NULL,
+     backup_email_verify_token_hash=NULL, backup_email_verify_expires=NULL WHERE id=?`,
+    [backupEmail || null, user.id]
+  );
+  if (backupEmail) await sendVerificationEmail({ ...user, backup_email: backupEmail }, "backup_email");
+};
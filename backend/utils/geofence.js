@@ -0,0 +1,66 @@
+import pool from "../config/db.js";
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two coordinates (haversine formula).
+ *
+ * @returns {number} Distance in meters.
+ */
+export const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a value is a valid latitude/longitude pair.
+ */
+export const isValidCoordinate = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return (
+    latitude !== undefined && latitude !== null && latitude !== "" &&
+    longitude !== undefined && longitude !== null && longitude !== "" &&
+    Number.isFinite(lat) && Number.isFinite(lon) &&
+    Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+  );
+};
+
+/**
+ * Match a coordinate against all active office sites.
+ *
+ * @returns {Promise<{ sitesConfigured: boolean, inside: boolean, site: object|null, distance: number|null }>}
+ *   `site` is the matching site when inside, otherwise the nearest one.
+ */
+export const matchOfficeSite = async (latitude, longitude) => {
+  const [sites] = await pool.query(
+    "SELECT id, name, latitude, longitude, radius_meters FROM office_sites WHERE is_active = TRUE"
+  );
+  if (!sites.length) return { sitesConfigured: false, inside: true, site: null, distance: null };
+
+  let nearest = null;
+  for (const site of sites) {
+    const distance = distanceInMeters(
+      Number(latitude),
+      Number(longitude),
+      Number(site.latitude),
+      Number(site.longitude)
+    );
+    if (distance <= site.radius_meters)
+      return { sitesConfigured: true, inside: true, site, distance: Math.round(distance) };
+    if (!nearest || distance < nearest.distance) nearest = { site, distance };
+  }
+
+  return {
+    sitesConfigured: true,
+    inside: false,
+    site: nearest.site,
+    distance: Math.round(nearest.distance),
+  };
+};
@@ -0,0 +1,80 @@
+import pool from "../config/db.js";
+import { sendAnnouncement } from "./announcements.js";
+import { toDate, formatDate } from "./workingDays.js";
+
+// How many days ahead upcoming holidays are announced
+export const HOLIDAY_NOTICE_DAYS = Number(process.env.HOLIDAY_NOTICE_DAYS) || 3;
+
+/**
+ * Get every holiday / closure date between two dates (inclusive).
+ *
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {Promise<Set<string>>} "YYYY-MM-DD" dates.
+ */
+export const getHolidayDates = async (from, to) => {
+  const start = toDate(from);
+  const end = toDate(to);
+  const dates = new Set();
+  if (!start || !end || start > end) return dates;
+
+  const [rows] = await pool.query(
+    "SELECT start_date, end_date FROM holidays WHERE start_date <= ? AND end_date >= ?",
+    [formatDate(end), formatDate(start)]
+  );
+
+  for (const row of rows) {
+    const first = row.start_date > start ? toDate(row.start_date) : new Date(start);
+    const last = row.end_date < end ? toDate(row.end_date) : new Date(end);
+    for (const d = first; d <= last; d.setDate(d.getDate() + 1)) dates.add(formatDate(d));
+  }
+  return dates;
+};
+
+/**
+ * Find the holiday or closure covering a given day, if any.
+ */
+export const findHoliday = async (day = new Date()) => {
+  const [rows] = await pool.query(
+    "SELECT id, name, type FROM holidays WHERE DATE(?) BETWEEN start_date AND end_date LIMIT 1",
+    [day]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Announce holidays starting within HOLIDAY_NOTICE_DAYS to every user.
+ * Each holiday is announced once (tracked by announced_at) and the
+ * announcement expires once the holiday is over.
+ */
+export const announceUpcomingHolidays = async () => {
+  try {
+    const [holidays] = await pool.query(
+      `SELECT id, name, type, start_date, end_date FROM holidays
+       WHERE announced_at IS NULL
+       AND start_date BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)`,
+      [HOLIDAY_NOTICE_DAYS]
+    );
+    if (!holidays.length) return;
+
+    for (const holiday of holidays) {
+      const start = formatDate(holiday.start_date);
+      const end = formatDate(holiday.end_date);
+      const when = start === end ? `on ${start}` : `from ${start} to ${end}`;
+      const title = holiday.type === "closure" ? "Upcoming Company Closure" : "Upcoming Public Holiday";
+
+      const expiresAt = toDate(holiday.end_date);
+      expiresAt.setDate(expiresAt.getDate() + 1);
+
+      await sendAnnouncement({
+        title,
+        message: `${holiday.name} ${when}. No attendance is expected.`,
+        target: { type: "all" },
+        expires_at: expiresAt,
+      });
+      await pool.query("UPDATE holidays SET announced_at = NOW() WHERE id = ?", [holiday.id]);
+    }
+  } catch (err) {
+    console.error("❌ Error announcing holidays:", err.message);
+  }
+};
@@ -0,0 +1,83 @@
+// Minimal iCalendar (.ics) reader for importing holidays.
+// Only VEVENT SUMMARY / DTSTART / DTEND / UID are read.
+
+import { formatDate } from "./workingDays.js";
+
+// Parse "20261225" or "20261225T090000[Z]" into a local Date (date part only)
+const parseIcsDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, time, h, mi, s, utc] = m;
+  const date = utc
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+    : new Date(+y, +mo - 1, +d, time ? +h : 0, time ? +mi : 0, time ? +s : 0);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// Undo iCal text escaping (\, \; \n)
+const unescapeText = (value) =>
+  value.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1").trim();
+
+/**
+ * Parse .ics text into events.
+ * All-day DTEND is exclusive in iCal, so it is converted to an inclusive end date.
+ *
+ * @param {string} text - Raw .ics file contents.
+ * @returns {{ uid: string|null, name: string, startDate: string, endDate: string }[]}
+ */
+export const parseIcs = (text) => {
+  // Unfold continuation lines (lines starting with a space or tab)
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+      continue;
+    }
+    if (line === "END:VEVENT") {
+      if (current && current.start && current.name) {
+        let end = current.end || current.start;
+        if (current.end && current.allDay && end > current.start) {
+          end = new Date(end);
+          end.setDate(end.getDate() - 1);
+        }
+        events.push({
+          uid: current.uid || null,
+          name: current.name,
+          startDate: formatDate(current.start),
+          endDate: formatDate(end < current.start ? current.start : end),
+        });
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const [prop, ...params] = line.slice(0, idx).split(";");
+    const value = line.slice(idx + 1);
+
+    switch (prop.toUpperCase()) {
+      case "SUMMARY":
+        current.name = unescapeText(value);
+        break;
+      case "UID":
+        current.uid = value.trim();
+        break;
+      case "DTSTART":
+        current.start = parseIcsDate(value);
+        current.allDay = params.includes("VALUE=DATE") || /^\d{8}$/.test(value.trim());
+        break;
+      case "DTEND":
+        current.end = parseIcsDate(value);
+        break;
+    }
+  }
+
+  return events;
+};
@@ -0,0 +1,66 @@
+import crypto from "crypto";
+import pool from "../config/db.js";
+import { sendEmail } from "./sendEmail.js";
+
+// "invite" disables POST /api/auth/signup so accounts can only be created
+// from an admin invite; "open" (default) allows both
+export const SIGNUP_MODE = process.env.SIGNUP_MODE === "invite" ? "invite" : "open";
+export const INVITE_EXPIRY_DAYS = Number(process.env.INVITE_EXPIRY_DAYS) || 7;
+
+export const hashInviteToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a fresh one-time link for an invite and email it. Any earlier link
+ * for the invite stops working, so this is also how invites are resent.
+ *
+ * @param {{ id: number, email: string }} invite
+ * @returns {Promise<Date>} When the new link expires.
+ */
+export const sendInviteEmail = async (invite) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expires = new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  await pool.query(
+    `UPDATE user_invites SET token_hash=?, expires_at=?, last_sent_at=NOW(), send_count=send_count + 1
+     WHERE id=?`,
+    [hashInviteToken(token), expires, invite.id]
+  );
+
+  const inviteLink = `${process.env.FRONTEND_ORIGIN}/accept-invite?token=${token}&email=${encodeURIComponent(
+    invite.email
+  )}`;
+  if (process.env.NODE_ENV !== "production") console.log("Invite link:", inviteLink);
+
+  // Best effort: admins can resend from the pending invite list
+  try {
+    await sendEmail(
+      invite.email,
+      "You're invited to Clock It",
+      `You've been invited to join Clock It. Set up your account here: ${inviteLink}\n\n` +
+        `This link expires in ${INVITE_EXPIRY_DAYS} days.`
+    );
+  } catch (e) {
+    console.error("Invite email failed:", e.message);
+  }
+
+  return expires;
+};
+
+/**
+ * Find a pending (not accepted, revoked or expired) invite by email and token.
+ */
+export const findPendingInvite = async (email, token) => {
+  const [rows] = await pool.query(
+    `SELECT * FROM user_invites
+     WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+    [email]
+  );
+  const invite = rows[0];
+  if (!invite || !invite.token_hash) return null;
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(hashInviteToken(String(token))),
+    Buffer.from(invite.token_hash)
+  );
+  return matches ? invite : null;
+};
@@ -0,0 +1,145 @@
+import pool from "../config/db.js";
+import { notifyUser } from "./notifyUser.js";
+import { sendAnnouncement, validateAnnouncement } from "./announcements.js";
+import { getShiftWindow, WEEKDAYS } from "./shiftSchedule.js";
+import { findHoliday, announceUpcomingHolidays } from "./holidays.js";
+import { findApprovedLeave } from "./leaveBalance.js";
+import { formatDate } from "./workingDays.js";
+
+// Minutes after shift start / end before a reminder is sent (payload.afterMinutes overrides)
+const DEFAULT_REMINDER_DELAY_MINUTES = 15;
+// A clock-in this long before the shift starts still counts for that shift
+const EARLY_CLOCK_IN_HOURS = 4;
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Shifts of active users, with the days in the window they could fall on
+const getShiftsInWindow = async (from, to) => {
+  const [shifts] = await pool.query(
+    `SELECT s.id, s.user_id, s.name, s.start_time, s.end_time, s.weekdays
+     FROM shifts s
+     JOIN users u ON u.id = s.user_id
+     WHERE u.is_active = TRUE`
+  );
+
+  // Windows are at most a day long; also check the day before for overnight shifts
+  const dayBefore = new Date(from);
+  dayBefore.setDate(dayBefore.getDate() - 1);
+  const days = [dayBefore, from];
+  if (formatDate(to) !== formatDate(from)) days.push(to);
+
+  const result = [];
+  for (const shift of shifts) {
+    const weekdays = String(shift.weekdays).split(",");
+    for (const day of days) {
+      if (weekdays.includes(WEEKDAYS[day.getDay()]))
+        result.push({ shift, day, ...getShiftWindow(shift, day) });
+    }
+  }
+  return result;
+};
+
+// Skip reminders on holidays and approved leave
+const isDayOff = async (userId, day) =>
+  Boolean((await findHoliday(day)) || (await findApprovedLeave(userId, day)));
+
+/**
+ * Job handlers by type. Each receives the job row and the window since the
+ * previous run ({ from, to } Dates) and returns a short summary for job_runs.
+ */
+export const JOB_HANDLERS = {
+  // "You haven't clocked in yet" — once per shift, afterMinutes past its start
+  async clock_in_reminder(job, { from, to }) {
+    const delay = (job.payload?.afterMinutes ?? DEFAULT_REMINDER_DELAY_MINUTES) * 60000;
+    let sent = 0;
+
+    for (const { shift, day, start } of await getShiftsInWindow(from, to)) {
+      const remindAt = new Date(start.getTime() + delay);
+      if (remindAt <= from || remindAt > to) continue;
+      if (await isDayOff(shift.user_id, day)) continue;
+
+      const [punches] = await pool.query(
+        "SELECT id FROM attendance_records WHERE user_id = ? AND clock_in >= ? LIMIT 1",
+        [shift.user_id, new Date(start.getTime() - EARLY_CLOCK_IN_HOURS * 3600000)]
+      );
+      if (punches.length) continue;
+
+      await notifyUser(
+        shift.user_id,
+        "Clock-In Reminder",
+        `You haven't clocked in yet. Your ${shift.name || "shift"} started at ${shift.start_time}.`,
+        "attendance"
+      );
+      sent++;
+    }
+    return `Sent ${sent} clock-in reminder(s).`;
+  },
+
+  // End-of-shift reminder for users who are still clocked in
+  async clock_out_reminder(job, { from, to }) {
+    const delay = (job.payload?.afterMinutes ?? DEFAULT_REMINDER_DELAY_MINUTES) * 60000;
+    let sent = 0;
+
+    for (const { shift, end } of await getShiftsInWindow(from, to)) {
+      const remindAt = new Date(end.getTime() + delay);
+      if (remindAt <= from || remindAt > to) continue;
+
+      const [open] = await pool.query(
+        "SELECT id FROM attendance_records WHERE user_id = ? AND clock_out IS NULL LIMIT 1",
+        [shift.user_id]
+      );
+      if (!open.length) continue;
+
+      await notifyUser(
+        shift.user_id,
+        "Clock-Out Reminder",
+        `Your ${shift.name || "shift"} ended at ${shift.end_time} and you're still clocked in.`,
+        "attendance"
+      );
+      sent++;
+    }
+    return `Sent ${sent} clock-out reminder(s).`;
+  },
+
+  // Hours worked, days present and late arrivals over the last 7 days
+  async weekly_summary() {
+    const [rows] = await pool.query(
+      `SELECT a.user_id,
+              COUNT(DISTINCT DATE(a.clock_in)) AS days_worked,
+              COALESCE(SUM(a.duration_minutes), 0) AS worked_minutes,
+              SUM(a.status = 'late') AS late_count
+       FROM attendance_records a
+       JOIN users u ON u.id = a.user_id
+       WHERE u.is_active = TRUE AND a.clock_in >= NOW() - INTERVAL 7 DAY
+       GROUP BY a.user_id`
+    );
+
+    for (const row of rows) {
+      await notifyUser(
+        row.user_id,
+        "Your Weekly Summary",
+        `Last 7 days: ${toHours(Number(row.worked_minutes))}h over ${row.days_worked} day(s), ${Number(row.late_count)} late arrival(s).`,
+        "attendance"
+      );
+    }
+    return `Sent ${rows.length} weekly summar${rows.length === 1 ? "y" : "ies"}.`;
+  },
+
+  // Admin-scheduled announcement.
+  // Payload: { title, message, target?, priority?, pinned?, expires_at? } (target defaults to everyone)
+  async announcement(job) {
+    const announcement = { target: { type: "all" }, ...(job.payload || {}) };
+    const error = validateAnnouncement(announcement);
+    if (error) throw new Error(`Invalid announcement payload: ${error}`);
+
+    const id = await sendAnnouncement(announcement, job.created_by);
+    return `Published announcement ${id}.`;
+  },
+
+  async holiday_announcements() {
+    await announceUpcomingHolidays();
+    return "Checked upcoming holidays.";
+  },
+};
+
+export const JOB_TYPES = Object.keys(JOB_HANDLERS);
@@ -0,0 +1,32 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+// How long a kiosk QR code stays valid (the kiosk refreshes it on this interval)
+export const KIOSK_TOKEN_TTL_SECONDS = 30;
+
+/**
+ * Sign a short-lived kiosk token for the QR code.
+ * Signed with JWT_SECRET like access tokens, but tagged with type "kiosk"
+ * so it can never be used as a login token.
+ *
+ * @param {number|null} siteId - Office site the kiosk stands at (optional).
+ * @returns {{ token: string, jti: string, expiresAt: Date }}
+ */
+export const generateKioskToken = (siteId = null) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ type: "kiosk", siteId }, process.env.JWT_SECRET, {
+    expiresIn: KIOSK_TOKEN_TTL_SECONDS,
+    jwtid: jti,
+  });
+  return { token, jti, expiresAt: new Date(Date.now() + KIOSK_TOKEN_TTL_SECONDS * 1000) };
+};
+
+/**
+ * Verify a kiosk token and return its payload.
+ * Throws if the token is invalid, expired or not a kiosk token.
+ */
+export const verifyKioskToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== "kiosk" || !decoded.jti) throw new Error("Not a kiosk token");
+  return decoded;
+};
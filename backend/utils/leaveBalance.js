@@ -0,0 +1,64 @@
+import pool from "../config/db.js";
+
+export const LEAVE_TYPES = ["annual", "sick", "unpaid"];
+
+// Yearly allowance per leave type (null = unlimited, no balance tracked)
+export const DEFAULT_ALLOWANCES = {
+  annual: Number(process.env.ANNUAL_LEAVE_DAYS) || 15,
+  sick: Number(process.env.SICK_LEAVE_DAYS) || 10,
+  unpaid: null,
+};
+
+/**
+ * Fetch (or lazily create) a user's balance row for a leave type and year.
+ * Returns null for leave types without an allowance (unpaid).
+ *
+ * @param {number} userId - The user's ID.
+ * @param {string} leaveType - One of LEAVE_TYPES.
+ * @param {number} year - Calendar year.
+ */
+export const getLeaveBalance = async (userId, leaveType, year) => {
+  if (DEFAULT_ALLOWANCES[leaveType] === null) return null;
+
+  await pool.query(
+    `INSERT IGNORE INTO leave_balances (user_id, year, leave_type, allowance_days)
+     VALUES (?, ?, ?, ?)`,
+    [userId, year, leaveType, DEFAULT_ALLOWANCES[leaveType]]
+  );
+
+  const [rows] = await pool.query(
+    "SELECT * FROM leave_balances WHERE user_id = ? AND year = ? AND leave_type = ?",
+    [userId, year, leaveType]
+  );
+  return rows[0];
+};
+
+/**
+ * Sum the days of a user's pending requests for a leave type and year.
+ */
+export const getPendingDays = async (userId, leaveType, year) => {
+  const [rows] = await pool.query(
+    `SELECT COALESCE(SUM(days), 0) AS pending
+     FROM leave_requests
+     WHERE user_id = ? AND leave_type = ? AND status = 'pending' AND YEAR(start_date) = ?`,
+    [userId, leaveType, year]
+  );
+  return Number(rows[0].pending);
+};
+
+/**
+ * Find an approved leave request covering the given day, if any.
+ *
+ * @param {number} userId - The user's ID.
+ * @param {Date} day - Any moment on the day to check.
+ */
+export const findApprovedLeave = async (userId, day = new Date()) => {
+  const [rows] = await pool.query(
+    `SELECT id, leave_type, start_date, end_date
+     FROM leave_requests
+     WHERE user_id = ? AND status = 'approved' AND DATE(?) BETWEEN start_date AND end_date
+     LIMIT 1`,
+    [userId, day]
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,44 @@
+import pool from "../config/db.js";
+
+export const NOTIFICATION_CATEGORIES = ["security", "account", "attendance", "leave", "announcements"];
+export const NOTIFICATION_CHANNELS = ["in_app", "email", "sms"];
+
+// Used for any category a user hasn't customised
+export const DEFAULT_PREFERENCES = {
+  security: { in_app: true, email: true, sms: false },
+  // Routine account activity (e.g. sign-ins); unlike security it can be muted
+  account: { in_app: true, email: false, sms: false },
+  attendance: { in_app: true, email: false, sms: false },
+  leave: { in_app: true, email: true, sms: false },
+  announcements: { in_app: true, email: false, sms: false },
+};
+
+// Channels users can't turn off, so security notices always reach them
+export const ALWAYS_ON = {
+  security: ["in_app", "email"],
+};
+
+/**
+ * Resolve a user's delivery channels for every category:
+ * stored preferences over the defaults, with ALWAYS_ON channels forced on.
+ *
+ * @param {number} userId - The user's ID.
+ * @returns {Promise<Record<string, { in_app: boolean, email: boolean, sms: boolean }>>}
+ */
+export const getNotificationPreferences = async (userId) => {
+  const [rows] = await pool.query(
+    "SELECT category, in_app, email, sms FROM notification_preferences WHERE user_id = ?",
+    [userId]
+  );
+  const stored = new Map(rows.map((r) => [r.category, r]));
+
+  const preferences = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    const row = stored.get(category);
+    const prefs = { ...DEFAULT_PREFERENCES[category] };
+    if (row) for (const channel of NOTIFICATION_CHANNELS) prefs[channel] = Boolean(row[channel]);
+    for (const channel of ALWAYS_ON[category] || []) prefs[channel] = true;
+    preferences[category] = prefs;
+  }
+  return preferences;
+};
@@ -0,0 +1,64 @@
+// Open Server-Sent Events connections, keyed by user id.
+// Connections live in this process only; with several instances behind a
+// load balancer a client only receives pushes from the instance it hit
+// (and catches up through Last-Event-ID on reconnect).
+const clients = new Map();
+
+/**
+ * Write one SSE event. The notification id is used as the event id so
+ * clients can resume with Last-Event-ID.
+ *
+ * @param {import("express").Response} res
+ * @param {{ id: number }} notification
+ */
+export const sendEvent = (res, notification) => {
+  res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+};
+
+/**
+ * Register a connection for a user.
+ * Live events are queued until `ready(lastSentId)` is called, so missed
+ * notifications can be replayed first without gaps or duplicates.
+ *
+ * @returns {{ ready: (lastSentId: number) => void, remove: () => void }}
+ */
+export const addClient = (userId, res) => {
+  const client = { res, queue: [] };
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(client);
+
+  return {
+    ready: (lastSentId = 0) => {
+      for (const notification of client.queue) {
+        if (notification.id > lastSentId) sendEvent(res, notification);
+      }
+      client.queue = null;
+    },
+    remove: () => {
+      const set = clients.get(userId);
+      if (!set) return;
+      set.delete(client);
+      if (set.size === 0) clients.delete(userId);
+    },
+  };
+};
+
+/**
+ * Push a freshly saved notification to connected clients.
+ * Personal rows go to their owner; announcements go to the resolved
+ * recipient ids passed in.
+ *
+ * @param {{ id: number, user_id: number|null }} notification
+ * @param {number[]} [userIds] - Recipients (defaults to the row's owner).
+ */
+export const publishNotification = (notification, userIds = [notification.user_id]) => {
+  const event = { ...notification, is_read: false };
+  const targets = userIds.map((id) => clients.get(id)).filter(Boolean);
+
+  for (const set of targets) {
+    for (const client of set) {
+      if (client.queue) client.queue.push(event);
+      else sendEvent(client.res, event);
+    }
+  }
+};
@@ -1,26 +1,34 @@
 import pool from "../config/db.js";
+import { publishNotification } from "./notificationStream.js";
+import { getNotificationPreferences } from "./notificationPreferences.js";
+import { sendEmail } from "./sendEmail.js";
+import { sendSms } from "./sendSms.js";
+import { findUserManagerIds } from "./departments.js";
 
 /**
- * Save a notification for a specific user.
+ * Deliver a notification to a specific user on the channels they chose
+ * for its category (in-app, email, SMS). Email and SMS are best effort.
  * Automatically skips duplicates (same title+message within 1 minute).
- * 
+ *
  * @param {number} userId - The user's ID.
  * @param {string} title - Short title of the notification.
  * @param {string} message - Detailed message body.
+ * @param {"security"|"account"|"attendance"|"leave"|"announcements"} category - Picks the user's channel preferences.
  */
-export const notifyUser = async (userId, title, message) => {
+export const notifyUser = async (userId, title, message, category = "announcements") => {
   try {
     // Check user exists
-    const [userRows] = await pool.query("SELECT id FROM users WHERE id = ?", [userId]);
+    const [userRows] = await pool.query("SELECT id, email, phone FROM users WHERE id = ?", [userId]);
     if (userRows.length === 0) {
       console.warn(`notifyUser: Skipped — user ${userId} not found`);
       return;
     }
+    const user = userRows[0];
 
     //prevent duplicate notifications within 1 minute
     const [dupCheck] = await pool.query(
-      `SELECT id FROM notifications 
-       WHERE user_id = ? AND title = ? AND message = ? 
+      `SELECT id FROM notifications
+       WHERE user_id = ? AND title = ? AND message = ?
        AND created_at >= NOW() - INTERVAL 1 MINUTE`,
       [userId, title, message]
     );
@@ -29,14 +37,88 @@ export const notifyUser = async (userId, title, message) => {
       return;
     }
 
-    // Insert notification
-    await pool.query(
-      "INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)",
-      [userId, title, message]
-    );
+    const preferences = await getNotificationPreferences(userId);
+    const channels = preferences[category] || preferences.announcements;
+
+    if (channels.in_app) {
+      // Insert notification
+      const [result] = await pool.query(
+        "INSERT INTO notifications (user_id, title, message) VALUES (?, ?, ?)",
+        [userId, title, message]
+      );
+
+      // Push to any open notification streams (keyed by the numeric id,
+      // so use the row's rather than a possibly string userId)
+      publishNotification({
+        id: result.insertId,
+        user_id: user.id,
+        title,
+        message,
+        created_at: new Date(),
+        is_broadcast: false,
+        priority: "normal",
+        pinned: false,
+      });
+    }
+
+    if (channels.email && user.email) {
+      try {
+        await sendEmail(user.email, title, message);
+      } catch (e) {
+        console.error(`notifyUser: email to user ${userId} failed:`, e.message);
+      }
+    }
 
-    console.log(`Notification saved for user ${userId}: ${title}`);
+    if (channels.sms && user.phone) {
+      try {
+        await sendSms(user.phone, `${title}: ${message}`);
+      } catch (e) {
+        console.error(`notifyUser: SMS to user ${userId} failed:`, e.message);
+      }
+    }
+
+    console.log(`Notification sent to user ${userId} (${category}): ${title}`);
   } catch (err) {
     console.error("❌ Error saving notification:", err.message);
   }
 };
+
+/**
+ * Send the same notification to every admin.
+ * Uses notifyUser so the duplicate check and preferences apply per admin.
+ *
+ * @param {string} title - Short title of the notification.
+ * @param {string} message - Detailed message body.
+ * @param {string} category - See notifyUser.
+ */
+export const notifyAdmins = async (title, message, category = "announcements") => {
+  try {
+    const [admins] = await pool.query("SELECT id FROM users WHERE role = 'admin'");
+    for (const admin of admins) {
+      await notifyUser(admin.id, title, message, category);
+    }
+  } catch (err) {
+    console.error("❌ Error notifying admins:", err.message);
+  }
+};
+
+/**
+ * Send the same notification to the managers responsible for a user
+ * (managers of the user's department or any department above it)
+ * whose role grants the given team permission.
+ *
+ * @param {number} userId - The user the notification is about.
+ * @param {string} permission - e.g. "leave.approve.team".
+ * @param {string} title - Short title of the notification.
+ * @param {string} message - Detailed message body.
+ * @param {string} category - See notifyUser.
+ */
+export const notifyManagers = async (userId, permission, title, message, category = "announcements") => {
+  try {
+    for (const managerId of await findUserManagerIds(userId, permission)) {
+      await notifyUser(managerId, title, message, category);
+    }
+  } catch (err) {
+    console.error("❌ Error notifying managers:", err.message);
+  }
+};
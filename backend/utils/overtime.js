@@ -0,0 +1,232 @@
+import pool from "../config/db.js";
+import { notifyAdmins } from "./notifyUser.js";
+import { toDate, formatDate, isWeekend } from "./workingDays.js";
+import { getHolidayDates } from "./holidays.js";
+
+// Used when a user has no rule assigned and no rule is marked as default
+export const DEFAULT_OVERTIME_RULE = {
+  id: null,
+  name: "Built-in default",
+  daily_threshold_hours: 8,
+  weekly_threshold_hours: 40,
+  overtime_multiplier: 1.5,
+  weekend_multiplier: 1.5,
+  holiday_multiplier: 2,
+  approval_cap_hours: null,
+};
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Monday of the week containing `date`
+const startOfWeek = (date) => {
+  const d = toDate(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+/**
+ * Resolve the overtime rule that applies to a user:
+ * their assigned rule, else the default rule, else DEFAULT_OVERTIME_RULE.
+ */
+export const getRuleForUser = async (userId) => {
+  const [assigned] = await pool.query(
+    `SELECT r.* FROM users u
+     JOIN overtime_rules r ON r.id = u.overtime_rule_id
+     WHERE u.id = ?`,
+    [userId]
+  );
+  if (assigned.length) return assigned[0];
+
+  const [defaults] = await pool.query(
+    "SELECT * FROM overtime_rules WHERE is_default = TRUE ORDER BY id LIMIT 1"
+  );
+  return defaults[0] || DEFAULT_OVERTIME_RULE;
+};
+
+/**
+ * Split daily worked minutes into regular and overtime minutes.
+ * Pure function: `days` must be sorted by date and start on a Monday
+ * so weekly thresholds accumulate correctly.
+ *   - weekend and holiday / closure hours are all overtime at their own multiplier
+ *   - weekday hours above the daily threshold are overtime
+ *   - regular hours above the weekly threshold are moved to overtime
+ *   - overtime above the approval cap is returned as `excess_minutes`
+ *
+ * @param {{ date: string, worked_minutes: number }[]} days
+ * @param {object} rule - Row from overtime_rules (or DEFAULT_OVERTIME_RULE).
+ * @param {Set<string>} holidays - "YYYY-MM-DD" dates treated as public holidays.
+ */
+export const splitOvertime = (days, rule, holidays = new Set()) => {
+  const dailyLimit = Number(rule.daily_threshold_hours) * 60;
+  const weeklyLimit =
+    rule.weekly_threshold_hours === null ? null : Number(rule.weekly_threshold_hours) * 60;
+  const cap = rule.approval_cap_hours === null ? null : Number(rule.approval_cap_hours) * 60;
+
+  let week = null;
+  let weekRegular = 0;
+
+  return days.map(({ date, worked_minutes }) => {
+    const weekKey = formatDate(startOfWeek(date));
+    if (weekKey !== week) {
+      week = weekKey;
+      weekRegular = 0;
+    }
+
+    const holiday = holidays.has(date);
+    let regular = 0;
+    let overtime = worked_minutes;
+    let multiplier = Number(holiday ? rule.holiday_multiplier : rule.weekend_multiplier);
+
+    if (!holiday && !isWeekend(toDate(date))) {
+      regular = Math.min(worked_minutes, dailyLimit);
+      if (weeklyLimit !== null) regular = Math.min(regular, Math.max(0, weeklyLimit - weekRegular));
+      overtime = worked_minutes - regular;
+      multiplier = Number(rule.overtime_multiplier);
+    }
+    weekRegular += regular;
+
+    const excess = cap !== null && overtime > cap ? overtime - cap : 0;
+
+    return {
+      date,
+      day_type: holiday ? "holiday" : isWeekend(toDate(date)) ? "weekend" : "weekday",
+      worked_minutes,
+      regular_minutes: regular,
+      overtime_minutes: overtime - excess,
+      excess_minutes: excess,
+      multiplier,
+    };
+  });
+};
+
+// Split a user's completed punches in a date range (inclusive) into
+// regular / overtime / excess minutes per day, using their current rule
+const loadOvertimeDays = async (userId, from, to) => {
+  const rule = await getRuleForUser(userId);
+  const weekStart = formatDate(startOfWeek(from));
+
+  // Only completed punches count; start at Monday so weekly thresholds are right
+  const [rows] = await pool.query(
+    `SELECT DATE(clock_in) AS work_date, SUM(duration_minutes) AS worked_minutes
+     FROM attendance_records
+     WHERE user_id = ? AND clock_out IS NOT NULL
+     AND clock_in >= ? AND clock_in < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY DATE(clock_in)
+     ORDER BY work_date`,
+    [userId, weekStart, to]
+  );
+  const worked = rows.map((r) => ({
+    date: formatDate(r.work_date),
+    worked_minutes: Number(r.worked_minutes),
+  }));
+
+  const holidays = await getHolidayDates(weekStart, to);
+  const days = splitOvertime(worked, rule, holidays).filter((d) => d.date >= from && d.date <= to);
+  return { rule, days };
+};
+
+/**
+ * Queue overtime above the rule's approval cap for admins: creates (or
+ * refreshes) pending overtime_approvals rows and notifies admins of new
+ * ones, and drops pending rows for days no longer over the cap.
+ * Run when punches change (clock-out), never from read-only requests.
+ *
+ * @param {number} userId - The user's ID.
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ */
+export const syncOvertimeApprovals = async (userId, from, to) => {
+  const { rule, days } = await loadOvertimeDays(userId, from, to);
+
+  for (const day of days) {
+    if (day.excess_minutes > 0) {
+      const [result] = await pool.query(
+        `INSERT INTO overtime_approvals (user_id, work_date, rule_id, excess_minutes)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE excess_minutes = IF(status = 'pending', VALUES(excess_minutes), excess_minutes)`,
+        [userId, day.date, rule.id, day.excess_minutes]
+      );
+      if (result.affectedRows === 1)
+        await notifyAdmins(
+          "Overtime Approval Needed",
+          `User ${userId} worked ${toHours(day.excess_minutes)}h of overtime above the cap on ${day.date}.`,
+          "attendance"
+        );
+    }
+  }
+
+  const overCap = days.filter((d) => d.excess_minutes > 0).map((d) => d.date);
+  await pool.query(
+    `DELETE FROM overtime_approvals
+     WHERE user_id = ? AND status = 'pending' AND work_date BETWEEN ? AND ?
+     ${overCap.length ? "AND work_date NOT IN (?)" : ""}`,
+    overCap.length ? [userId, from, to, overCap] : [userId, from, to]
+  );
+};
+
+/**
+ * Compute overtime for a user over a date range (inclusive). Read-only.
+ * Overtime above the rule's approval cap counts once an admin approves
+ * it (overtime_approvals); until then it's pending, and rejected excess
+ * is dropped. Excess not yet queued by syncOvertimeApprovals is shown
+ * as pending too.
+ *
+ * @param {number} userId - The user's ID.
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ */
+export const computeOvertime = async (userId, from, to) => {
+  const { rule, days } = await loadOvertimeDays(userId, from, to);
+
+  const [approvals] = await pool.query(
+    `SELECT id, work_date, excess_minutes, status FROM overtime_approvals
+     WHERE user_id = ? AND work_date BETWEEN ? AND ?`,
+    [userId, from, to]
+  );
+  const approvalByDate = new Map(approvals.map((a) => [formatDate(a.work_date), a]));
+
+  const totals = {
+    worked_hours: 0,
+    regular_hours: 0,
+    overtime_hours: 0,
+    pending_hours: 0,
+    rejected_hours: 0,
+    payable_hours: 0,
+  };
+
+  const result = days.map((day) => {
+    // Approvals left over from before a day dropped under the cap don't apply
+    const approval = day.excess_minutes > 0 ? approvalByDate.get(day.date) : null;
+    let overtime = day.overtime_minutes;
+    let pending = approval ? 0 : day.excess_minutes;
+    let rejected = 0;
+    if (approval) {
+      if (approval.status === "approved") overtime += approval.excess_minutes;
+      else if (approval.status === "pending") pending = approval.excess_minutes;
+      else rejected = approval.excess_minutes;
+    }
+
+    const row = {
+      date: day.date,
+      day_type: day.day_type,
+      worked_hours: toHours(day.worked_minutes),
+      regular_hours: toHours(day.regular_minutes),
+      overtime_hours: toHours(overtime),
+      pending_hours: toHours(pending),
+      rejected_hours: toHours(rejected),
+      multiplier: day.multiplier,
+      payable_hours: toHours(day.regular_minutes + overtime * day.multiplier),
+      approval_id: approval ? approval.id : null,
+    };
+    for (const key of Object.keys(totals)) totals[key] += row[key];
+    return row;
+  });
+
+  for (const key of Object.keys(totals)) totals[key] = Math.round(totals[key] * 100) / 100;
+
+  return {
+    rule: { id: rule.id, name: rule.name },
+    days: result,
+    totals,
+  };
+};
@@ -0,0 +1,55 @@
+import pool from "../config/db.js";
+import { comparePassword } from "./hashPassword.js";
+
+// How many previous passwords can't be reused (the current one always counts)
+export const PASSWORD_HISTORY_LIMIT = Number(process.env.PASSWORD_HISTORY_LIMIT) || 5;
+
+export const WEAK_PASSWORD_MESSAGE =
+  "Password must include uppercase, lowercase, number, and special character.";
+
+// Strong password validation (8+ chars, upper, lower, digit, special)
+export const isStrongPassword = (password) => {
+  const re =
+    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]).{8,}$/;
+  return re.test(password);
+};
+
+/**
+ * Check whether a new password matches the current one or any of the
+ * last PASSWORD_HISTORY_LIMIT passwords.
+ *
+ * @param {number} userId - The user's ID.
+ * @param {string} password - The plain-text candidate password.
+ */
+export const isPasswordReused = async (userId, password) => {
+  const [current] = await pool.query("SELECT password_hash FROM users WHERE id = ?", [userId]);
+  const [history] = await pool.query(
+    "SELECT password_hash FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?",
+    [userId, PASSWORD_HISTORY_LIMIT]
+  );
+
+  for (const row of [...current, ...history]) {
+    if (await comparePassword(password, row.password_hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Remember a password hash and keep only the last PASSWORD_HISTORY_LIMIT entries.
+ */
+export const recordPasswordHistory = async (userId, passwordHash) => {
+  await pool.query("INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)", [
+    userId,
+    passwordHash,
+  ]);
+
+  const [keep] = await pool.query(
+    "SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?",
+    [userId, PASSWORD_HISTORY_LIMIT]
+  );
+  if (keep.length === PASSWORD_HISTORY_LIMIT)
+    await pool.query("DELETE FROM password_history WHERE user_id = ? AND id NOT IN (?)", [
+      userId,
+      keep.map((row) => row.id),
+    ]);
+};
@@ -0,0 +1,55 @@
+import pool from "../config/db.js";
+import { ADMIN_ROLE } from "./roles.js";
+
+// Every permission the code checks. Roles (roles / role_permissions tables)
+// are editable collections of these. "*.team" permissions apply to the
+// departments the user manages and the teams below them (utils/departments.js).
+export const PERMISSIONS = {
+  "attendance.read.all": "View attendance for everyone",
+  "attendance.read.team": "View attendance for the departments you manage",
+  "leave.approve.all": "Approve or reject anyone's leave",
+  "leave.approve.team": "Approve or reject leave for the departments you manage",
+  "leave.manage": "Set leave allowances",
+  "notifications.broadcast": "Announce to everyone or to a whole role",
+  "notifications.send.all": "Message any user or department",
+  "notifications.send.team": "Message users and departments you manage",
+  "announcements.manage": "List, edit and delete announcements",
+  "users.manage": "Manage user accounts and invites",
+  "departments.manage": "Manage departments and their managers",
+  "roles.manage": "Manage roles and their permissions",
+  "shifts.manage": "Manage staff shifts",
+  "sites.manage": "Manage office sites and review rejected clock-ins",
+  "kiosk.issue": "Issue kiosk QR tokens",
+  "holidays.manage": "Manage public holidays and closures",
+  "overtime.manage": "Manage overtime rules, assignments and approvals",
+  "reports.export": "Export timesheets",
+  "jobs.manage": "Manage scheduled jobs",
+  "audit.read": "Read and export the audit log",
+};
+
+export const isPermission = (name) => Object.hasOwn(PERMISSIONS, name);
+
+/**
+ * Permissions granted by a role. The admin role always has all of them,
+ * so new permissions never lock admins out.
+ *
+ * @param {string} roleName
+ * @returns {Promise<Set<string>>}
+ */
+export const getRolePermissions = async (roleName) => {
+  if (roleName === ADMIN_ROLE) return new Set(Object.keys(PERMISSIONS));
+
+  const [rows] = await pool.query("SELECT permission FROM role_permissions WHERE role = ?", [roleName]);
+  return new Set(rows.map((row) => row.permission).filter(isPermission));
+};
+
+/**
+ * Permissions a role would grant that are not in `held`. Used so nobody
+ * can hand out (via role changes or invites) more access than they have.
+ *
+ * @param {string} roleName
+ * @param {Set<string>} held - Usually req.permissions.
+ * @returns {Promise<string[]>}
+ */
+export const findUngrantablePermissions = async (roleName, held) =>
+  [...(await getRolePermissions(roleName))].filter((permission) => !held.has(permission));
@@ -0,0 +1,50 @@
+// =============================================
+// Rate-limit counter stores
+// A store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//     count the hit and return the total for the current fixed window
+//   reset(key) -> Promise<void>
+// The default keeps counters in process memory, so limits are per
+// instance. Swap in a shared store (e.g. Redis) with setRateLimitStore().
+// =============================================
+
+// How often expired in-memory windows are swept
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref(); // don't keep the process alive just for this
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+export const getRateLimitStore = () => store;
+
+/**
+ * Replace the store used by every rate limiter (call once at startup).
+ */
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
@@ -0,0 +1,15 @@
+import pool from "../config/db.js";
+
+// Roles live in the roles table and are edited through /api/admin/roles.
+// Built-in (is_system) roles can't be deleted:
+//   admin   - always holds every permission
+//   manager - team-scoped attendance, leave approval and notifications
+//   staff   - their own records only (the default for new users)
+export const ADMIN_ROLE = "admin";
+export const DEFAULT_ROLE = "staff";
+
+export const roleExists = async (name) => {
+  if (!name) return false;
+  const [rows] = await pool.query("SELECT name FROM roles WHERE name = ?", [name]);
+  return rows.length > 0;
+};
@@ -0,0 +1,108 @@
+import os from "os";
+import pool from "../config/db.js";
+import { JOB_HANDLERS } from "./jobs.js";
+
+// How often due jobs are checked
+export const SCHEDULER_TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 30000;
+// Longest window handed to a job after downtime (older runs are skipped, not replayed)
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Next run time strictly after `now` for a recurring job,
+ * skipping any occurrences missed while the server was down.
+ * Returns null for one-off jobs.
+ */
+export const nextRunAfter = (job, now = new Date()) => {
+  if (!job.interval_minutes) return null;
+  const step = job.interval_minutes * 60000;
+  let next = new Date(job.next_run_at).getTime();
+  if (next <= now.getTime()) next += (Math.floor((now.getTime() - next) / step) + 1) * step;
+  return new Date(next);
+};
+
+/**
+ * Claim a due job. The claim bumps run_count and moves next_run_at forward
+ * in one conditional UPDATE, so when several instances (or a restarted
+ * one) see the same due job only one of them gets to run it.
+ *
+ * @returns {Promise<boolean>} true if this instance claimed the run.
+ */
+const claimJob = async (job, now) => {
+  const next = nextRunAfter(job, now);
+  const [result] = await pool.query(
+    `UPDATE scheduled_jobs
+     SET run_count = run_count + 1, last_run_at = ?, next_run_at = COALESCE(?, next_run_at),
+         enabled = ?
+     WHERE id = ? AND enabled = TRUE AND run_count = ?`,
+    [now, next, next !== null, job.id, job.run_count]
+  );
+  return result.affectedRows === 1;
+};
+
+/**
+ * Run a claimed job and record the outcome in job_runs.
+ * Handlers get the window since the previous run so time-based jobs
+ * (reminders) neither skip nor repeat anything between runs.
+ */
+const runJob = async (job, now) => {
+  const handler = JOB_HANDLERS[job.type];
+  const [run] = await pool.query(
+    "INSERT INTO job_runs (job_id, instance_id, status) VALUES (?, ?, 'running')",
+    [job.id, INSTANCE_ID]
+  );
+
+  const previous = job.last_run_at
+    ? new Date(job.last_run_at)
+    : new Date(now.getTime() - (job.interval_minutes || 0) * 60000);
+  const from = new Date(Math.max(previous.getTime(), now.getTime() - MAX_WINDOW_MS));
+
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+    const summary = await handler(job, { from, to: now });
+    await pool.query(
+      "UPDATE job_runs SET status = 'succeeded', result = ?, finished_at = NOW() WHERE id = ?",
+      [summary || null, run.insertId]
+    );
+  } catch (err) {
+    console.error(`Job ${job.id} (${job.type}) failed:`, err.message);
+    await pool.query(
+      "UPDATE job_runs SET status = 'failed', result = ?, finished_at = NOW() WHERE id = ?",
+      [err.message, run.insertId]
+    );
+  }
+};
+
+let ticking = false;
+
+/**
+ * Claim and run every due job, one at a time.
+ */
+export const runDueJobs = async () => {
+  if (ticking) return; // previous tick still running
+  ticking = true;
+  try {
+    const [jobs] = await pool.query(
+      "SELECT * FROM scheduled_jobs WHERE enabled = TRUE AND next_run_at <= NOW() ORDER BY next_run_at"
+    );
+    for (const job of jobs) {
+      const now = new Date();
+      // JSON columns come back as strings on MariaDB
+      if (typeof job.payload === "string") job.payload = JSON.parse(job.payload);
+      if (await claimJob(job, now)) await runJob(job, now);
+    }
+  } catch (err) {
+    console.error("❌ Scheduler tick failed:", err.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler (called once from server.js).
+ */
+export const startScheduler = () => {
+  runDueJobs();
+  return setInterval(runDueJobs, SCHEDULER_TICK_MS);
+};
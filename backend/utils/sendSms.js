@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import path from "path";
+import twilio from "twilio";
+
+// =============================================
+// SMS transports
+// Each transport implements send(to, body). Pick one with SMS_TRANSPORT:
+//   "twilio"  - real delivery (production)
+//   "console" - print to the server log (default outside production)
+//   "file"    - append JSON lines to SMS_LOG_FILE (handy for tests)
+// =============================================
+const transports = {
+  twilio: {
+    async send(to, body) {
+      const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+      const message = await client.messages.create({
+        from: process.env.TWILIO_FROM_NUMBER,
+        to,
+        body,
+      });
+      return { id: message.sid };
+    },
+  },
+
+  console: {
+    async send(to, body) {
+      console.log(`[SMS to ${to}] ${body}`);
+      return { id: `console-${Date.now()}` };
+    },
+  },
+
+  file: {
+    async send(to, body) {
+      const file = process.env.SMS_LOG_FILE || path.resolve("sms.log");
+      const entry = { id: `file-${Date.now()}`, to, body, sentAt: new Date().toISOString() };
+      await fs.appendFile(file, JSON.stringify(entry) + "\n");
+      return { id: entry.id };
+    },
+  },
+};
+
+const getTransport = () => {
+  const name =
+    process.env.SMS_TRANSPORT || (process.env.NODE_ENV === "production" ? "twilio" : "console");
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown SMS transport: ${name}`);
+  return transport;
+};
+
+export async function sendSms(to, body) {
+  try {
+    const info = await getTransport().send(to, body);
+    console.log("SMS sent:", info.id);
+    return info;
+  } catch (error) {
+    console.error("SMS sending failed:", error.message);
+    throw new Error("SMS sending failed");
+  }
+}
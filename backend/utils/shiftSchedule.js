@@ -0,0 +1,96 @@
+import pool from "../config/db.js";
+
+// Weekday keys as stored in shifts.weekdays (index matches Date#getDay)
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Build a Date for a "HH:MM[:SS]" time on the same calendar day as `day`.
+ */
+const atTime = (day, time) => {
+  const [h, m, s] = String(time).split(":").map(Number);
+  const d = new Date(day);
+  d.setHours(h, m || 0, s || 0, 0);
+  return d;
+};
+
+/**
+ * Resolve a shift's start/end as Dates for a given day.
+ * Overnight shifts (end_time <= start_time) end on the following day.
+ */
+export const getShiftWindow = (shift, day) => {
+  const start = atTime(day, shift.start_time);
+  const end = atTime(day, shift.end_time);
+  if (end <= start) end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// Whether a shift is scheduled on the weekday of `day`
+const runsOn = (shift, day) => String(shift.weekdays).split(",").includes(WEEKDAYS[day.getDay()]);
+
+const previousDay = (at) => {
+  const d = new Date(at);
+  d.setDate(d.getDate() - 1);
+  return d;
+};
+
+/**
+ * Resolve the occurrence of a shift that a punch at `at` belongs to:
+ * yesterday's if it's an overnight shift still running at `at`,
+ * otherwise today's.
+ */
+export const getShiftWindowAt = (shift, at) => {
+  const yesterday = previousDay(at);
+  if (runsOn(shift, yesterday)) {
+    const previous = getShiftWindow(shift, yesterday);
+    if (previous.end > at) return previous;
+  }
+  return getShiftWindow(shift, at);
+};
+
+/**
+ * Find the shift that applies to a user at a given moment.
+ * An overnight shift that started yesterday and is still running wins
+ * (so after-midnight punches match it); otherwise picks the earliest
+ * shift today that hasn't ended yet, else the last one of the day
+ * (so a very late punch is still matched).
+ *
+ * @param {number} userId - The user's ID.
+ * @param {Date} at - Moment of the punch.
+ * @returns {Promise<object|null>} The shift row, or null if none is scheduled.
+ */
+export const findShiftForUser = async (userId, at = new Date()) => {
+  const yesterday = previousDay(at);
+  const [shifts] = await pool.query(
+    `SELECT id, name, start_time, end_time, grace_minutes, weekdays
+     FROM shifts
+     WHERE user_id = ? AND (FIND_IN_SET(?, weekdays) OR FIND_IN_SET(?, weekdays))
+     ORDER BY start_time ASC`,
+    [userId, WEEKDAYS[at.getDay()], WEEKDAYS[yesterday.getDay()]]
+  );
+
+  const carried = shifts.find((s) => runsOn(s, yesterday) && getShiftWindow(s, yesterday).end > at);
+  if (carried) return carried;
+
+  const today = shifts.filter((s) => runsOn(s, at));
+  if (!today.length) return null;
+  const upcoming = today.find((s) => getShiftWindow(s, at).end > at);
+  return upcoming || today[today.length - 1];
+};
+
+/**
+ * Classify a clock-in against a shift.
+ *   on_time - within start + grace period
+ *   late    - after the grace period but before the shift ends
+ *   absent  - after the shift has already ended
+ *
+ * @returns {{ status: string, lateMinutes: number }}
+ */
+export const classifyClockIn = (shift, at = new Date()) => {
+  const { start, end } = getShiftWindowAt(shift, at);
+  const graceEnd = new Date(start.getTime() + (shift.grace_minutes || 0) * 60000);
+
+  if (at <= graceEnd) return { status: "on_time", lateMinutes: 0 };
+
+  const lateMinutes = Math.round((at - start) / 60000);
+  return { status: at < end ? "late" : "absent", lateMinutes };
+};
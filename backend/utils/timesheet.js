@@ -0,0 +1,141 @@
+import { streamQuery } from "../config/db.js";
+import { formatDate } from "./workingDays.js";
+
+export const TIMESHEET_COLUMNS = [
+  { key: "user_id", header: "User ID" },
+  { key: "name", header: "Name" },
+  { key: "email", header: "Email" },
+  { key: "date", header: "Date" },
+  { key: "clock_in", header: "Clock In" },
+  { key: "clock_out", header: "Clock Out" },
+  { key: "break_minutes", header: "Break (min)" },
+  { key: "total_hours", header: "Total Hours" },
+  { key: "late", header: "Late" },
+  { key: "late_minutes", header: "Late (min)" },
+];
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+const formatTime = (date) => (date ? new Date(date).toTimeString().slice(0, 8) : "");
+
+/**
+ * Stream attendance rows from MySQL without buffering the whole result.
+ * Rows are ordered by user, then clock-in time.
+ */
+const streamAttendance = ({ from, to, userId }) => {
+  let sql = `
+    SELECT a.user_id, u.name, u.email, a.clock_in, a.clock_out,
+           a.duration_minutes, a.status, a.late_minutes
+    FROM attendance_records a
+    JOIN users u ON u.id = a.user_id
+    WHERE a.clock_in >= ? AND a.clock_in < DATE_ADD(?, INTERVAL 1 DAY)`;
+  const params = [from, to];
+  if (userId) {
+    sql += " AND a.user_id = ?";
+    params.push(userId);
+  }
+  sql += " ORDER BY a.user_id, a.clock_in";
+
+  return streamQuery(sql, params);
+};
+
+/**
+ * Build timesheet rows from streamed attendance records.
+ * Yields one { type: "day" } row per user per day, followed by a
+ * { type: "total" } row after each user's last day.
+ *   break_minutes - gaps between a clock-out and the next clock-in that day
+ *   late          - the first clock-in of the day was late
+ *
+ * @param {{ from: string, to: string, userId?: number }} filters
+ */
+export async function* buildTimesheet(filters) {
+  let day = null;
+  let total = null;
+
+  const flushDay = () => {
+    const row = {
+      type: "day",
+      user_id: day.user_id,
+      name: day.name,
+      email: day.email,
+      date: day.date,
+      clock_in: formatTime(day.firstIn),
+      clock_out: formatTime(day.lastOut),
+      break_minutes: day.breakMinutes,
+      total_hours: toHours(day.workedMinutes),
+      late: day.late ? "yes" : "no",
+      late_minutes: day.lateMinutes,
+    };
+    total.days++;
+    total.breakMinutes += day.breakMinutes;
+    total.workedMinutes += day.workedMinutes;
+    total.lateDays += day.late ? 1 : 0;
+    total.lateMinutes += day.lateMinutes;
+    day = null;
+    return row;
+  };
+
+  const flushTotal = () => {
+    const row = {
+      type: "total",
+      user_id: total.user_id,
+      name: total.name,
+      email: total.email,
+      date: `TOTAL (${total.days} day(s))`,
+      clock_in: "",
+      clock_out: "",
+      break_minutes: total.breakMinutes,
+      total_hours: toHours(total.workedMinutes),
+      late: `${total.lateDays} late day(s)`,
+      late_minutes: total.lateMinutes,
+    };
+    total = null;
+    return row;
+  };
+
+  for await (const record of await streamAttendance(filters)) {
+    const date = formatDate(record.clock_in);
+
+    if (day && (day.user_id !== record.user_id || day.date !== date)) yield flushDay();
+    if (total && total.user_id !== record.user_id) yield flushTotal();
+
+    if (!total) {
+      total = {
+        user_id: record.user_id,
+        name: record.name,
+        email: record.email,
+        days: 0,
+        breakMinutes: 0,
+        workedMinutes: 0,
+        lateDays: 0,
+        lateMinutes: 0,
+      };
+    }
+
+    if (!day) {
+      day = {
+        user_id: record.user_id,
+        name: record.name,
+        email: record.email,
+        date,
+        firstIn: record.clock_in,
+        lastOut: null,
+        breakMinutes: 0,
+        workedMinutes: 0,
+        late: record.status === "late",
+        lateMinutes: record.late_minutes || 0,
+      };
+    } else if (day.lastOut) {
+      day.breakMinutes += Math.max(
+        0,
+        Math.round((new Date(record.clock_in) - new Date(day.lastOut)) / 60000)
+      );
+    }
+
+    day.lastOut = record.clock_out;
+    day.workedMinutes += record.duration_minutes || 0;
+  }
+
+  if (day) yield flushDay();
+  if (total) yield flushTotal();
+}
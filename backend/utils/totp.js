@@ -0,0 +1,93 @@
+// TOTP (RFC 6238) helpers for two-factor authentication.
+// SHA-1, 6 digits, 30 second steps — what authenticator apps expect.
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+};
+
+const base32Decode = (str) => {
+  let bits = "";
+  for (const char of str.replace(/=+$/, "").toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error("Invalid base32 secret");
+    bits += idx.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// HOTP code for a given counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * Generate a new random base32 secret (160 bits).
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code.
+ */
+export const buildOtpauthUri = (secret, accountName, issuer = "ClockIt") =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way.
+ *
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - Code entered by the user.
+ * @param {number|null} lastUsedStep - Step of the last accepted code (replay protection).
+ * @returns {number|null} The matched time step, or null if the code is invalid.
+ */
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  if (!/^\d{6}$/.test(String(code || ""))) return null;
+
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) return step;
+  }
+  return null;
+};
+
+/**
+ * Generate one-time recovery codes, e.g. "4F7K-9QXM".
+ *
+ * @returns {{ codes: string[], hashes: string[] }} Show `codes` once, store only `hashes`.
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(5));
+    return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Hash a recovery code for storage / lookup (case and dash insensitive).
+ */
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ""))
+    .digest("hex");
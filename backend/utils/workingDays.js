@@ -0,0 +1,46 @@
+// Date helpers shared by leave, attendance and reporting code.
+
+/**
+ * Parse a "YYYY-MM-DD" string (or Date) as local midnight.
+ * Returns null for invalid input.
+ */
+export const toDate = (value) => {
+  if (value instanceof Date) {
+    const d = new Date(value);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ""))) return null;
+  const d = new Date(`${value}T00:00:00`);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * Format a Date as "YYYY-MM-DD" in local time.
+ */
+export const formatDate = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * Whether a date falls on a weekend (Saturday or Sunday).
+ */
+export const isWeekend = (date) => [0, 6].includes(new Date(date).getDay());
+
+/**
+ * Count working days (Mon–Fri) between two dates, inclusive.
+ * Dates in `holidays` ("YYYY-MM-DD") are not counted.
+ */
+export const countWorkingDays = (start, end, holidays = new Set()) => {
+  const from = toDate(start);
+  const to = toDate(end);
+  if (!from || !to || from > to) return 0;
+
+  let days = 0;
+  for (const d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+    if (!isWeekend(d) && !holidays.has(formatDate(d))) days++;
+  }
+  return days;
+};